@@ -1,7 +1,8 @@
 /**
  * Limit how deep the sanitizer recurses into nested objects.
  * Prevents DoS from deeply nested payloads.
- * Strings are always sanitized regardless of depth.
+ * Strings up to the limit are always sanitized; `maxDepthAction` decides what
+ * happens to objects and arrays past it.
  */
 const express = require('express');
 const mongoSanitize = require('@exortek/express-mongo-sanitize');
@@ -9,7 +10,7 @@ const mongoSanitize = require('@exortek/express-mongo-sanitize');
 const app = express();
 app.use(express.json());
 
-app.use(mongoSanitize({ maxDepth: 1 }));
+app.use(mongoSanitize({ maxDepth: 1, maxDepthAction: 'truncate' }));
 
 app.post('/api', (req, res) => {
   // maxDepth: 1 → only top-level is sanitized
@@ -21,11 +22,13 @@ app.post('/api', (req, res) => {
   // }
   //
   // Output:
-  // {
-  //   name: "root",              ← sanitized (string at any depth)
-  //   nested: { inner: "$deep", more: { hidden: "$secret" } }
-  //                               ↑ not recursed (depth limit)
-  // }
+  // { name: "root" }             ← "nested" is past the limit and removed (a maxDepth event is emitted)
+  //
+  // Other maxDepthAction values for "nested":
+  //   'null'        → nested: null
+  //   'stringsOnly' → nested: { inner: "deep", more: { hidden: "secret" } }
+  //   'passThrough' → nested: { inner: "$deep", more: { hidden: "$secret" } } (left unsanitized)
+  //   'reject'      → the request fails with a NoSQLSanitizeError
   res.json({ sanitized: req.body });
 });
 
@@ -1,7 +1,8 @@
 /**
- * Get notified every time a value is sanitized.
+ * Get notified of everything the sanitizer changes.
  * Use for audit logging, metrics, alerting, rate limiting.
- * Only fires when a value actually changes.
+ * Each event has a `type`: `value` and `key` for strings and keys that were rewritten,
+ * `remove` for dropped entries (with a `reason`). The core README lists every type.
  */
 const express = require('express');
 const mongoSanitize = require('@exortek/express-mongo-sanitize');
@@ -12,18 +13,19 @@ app.use(express.json());
 // Simple console logging
 app.use(
   mongoSanitize({
-    onSanitize: ({ key, originalValue, sanitizedValue, path }) => {
-      console.log(`⚠️  Sanitized "${key}": "${originalValue}" → "${sanitizedValue}"`);
+    onSanitize: ({ type, originalValue, sanitizedValue, path }) => {
+      console.log(`⚠️  ${type} "${path}": "${originalValue}" → "${sanitizedValue}"`);
     },
   }),
 );
 
 app.post('/api', (req, res) => {
   // Console output:
-  //   ⚠️  Sanitized "username": "$admin" → "admin"
-  //   ⚠️  Sanitized "$ne": "" → ""       (key itself was sanitized)
+  //   ⚠️  value "body.username": "$admin" → "admin"
+  //   ⚠️  value "body.email": "$admin" → "admin"
+  //   ⚠️  key "body.$ne": "$ne" → "ne"
   //
-  // Note: "email" doesn't trigger — value didn't change.
+  // Note: "$ne" is reported as a key event — its value "" didn't change.
   res.json({ sanitized: req.body });
 });
 
@@ -39,8 +41,8 @@ app.listen(3000, () => {
  * Production example — increment metrics:
  *
  * mongoSanitize({
- *   onSanitize: ({ key }) => {
- *     metrics.increment('nosql.injection.blocked', { key });
+ *   onSanitize: ({ type, key }) => {
+ *     metrics.increment('nosql.injection.blocked', { type, key });
  *   },
  * })
  */
@@ -2,6 +2,28 @@
 
 const PATTERNS = Object.freeze([/\$/g, /[\u0000-\u001F\u007F-\u009F]/g]);
 
+// Added to the patterns in `unicode` mode: dollar-sign lookalikes (fullwidth ＄, small ﹩)
+const UNICODE_PATTERNS = Object.freeze([/[\uFF04\uFE69]/g]);
+
+// With `valueMode: 'operators'`, only values looking like operator payloads are sanitized:
+// a leading operator name, an operator key inside a JSON string, or $where-style JavaScript
+const OPERATOR_VALUE_PATTERNS = Object.freeze([
+  /^\s*\$[A-Za-z_]/,
+  /["']\$[A-Za-z_]\w*["']\s*:/,
+  /\bfunction\s*\(|\bthis\.[A-Za-z_$]|\bsleep\s*\(|\bdb\.[A-Za-z_]\w*\s*\(/,
+]);
+
+// Zero-width characters and bidirectional controls, handled per `unicode.invisible`
+const INVISIBLE_CHARS_RE = /[\u061C\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+// Log level used when a named pattern rule of each severity matches
+const SEVERITY_LOG_LEVELS = Object.freeze({
+  low: 'debug',
+  medium: 'info',
+  high: 'warn',
+  critical: 'error',
+});
+
 const LOG_LEVELS = Object.freeze({
   silent: 0,
   error: 1,
@@ -26,15 +48,27 @@ const DEFAULT_OPTIONS = Object.freeze({
   sanitizeObjects: ['body', 'query'],
   contentTypes: ['application/json', 'application/x-www-form-urlencoded'],
   mode: 'auto',
+  action: 'sanitize',
   skipRoutes: [],
   customSanitizer: null,
   onSanitize: null,
   recursive: true,
   removeEmpty: false,
   maxDepth: null,
+  maxDepthAction: 'truncate',
   patterns: PATTERNS,
+  keyPatterns: null,
+  valuePatterns: null,
+  valueMode: 'all',
+  preserve: ['email'],
   allowedKeys: [],
   deniedKeys: [],
+  keyMatching: 'exact',
+  allowedOperators: [],
+  rules: {},
+  deniedPaths: [],
+  allowedPaths: [],
+  routeFields: [],
   stringOptions: {
     trim: false,
     lowercase: false,
@@ -44,6 +78,73 @@ const DEFAULT_OPTIONS = Object.freeze({
     filterNull: false,
     distinct: false,
   },
+  rejectOptions: {
+    statusCode: 400,
+    body: null,
+    maxEvents: 100,
+  },
+  prototypePollution: {
+    action: 'drop',
+    keys: ['__proto__', 'constructor', 'prototype'],
+    renamePrefix: '_',
+    nullPrototype: false,
+  },
+  dotNotation: {
+    action: 'keep',
+    replaceWith: '_',
+    allow: [],
+  },
+  scalarFields: {
+    paths: [],
+    action: 'reject',
+  },
+  jsonStrings: {
+    paths: [],
+    output: 'string',
+  },
+  decoding: {
+    rounds: 0,
+    percent: true,
+    unicodeEscapes: true,
+  },
+  unicode: {
+    enabled: false,
+    normalize: true,
+    invisible: 'strip',
+  },
+  limits: {
+    maxKeys: null,
+    maxArrayLength: null,
+    maxKeyLength: null,
+    maxNodes: null,
+    maxStringLength: null,
+    action: 'truncate',
+    onStats: null,
+  },
+  keyCollision: {
+    action: 'keepOriginal',
+    suffix: '_',
+  },
+  circular: {
+    action: 'throw',
+    marker: '[Circular]',
+  },
+  typeHandlers: [],
+  ejson: {
+    action: 'off',
+    types: [
+      '$oid',
+      '$date',
+      '$numberInt',
+      '$numberLong',
+      '$numberDouble',
+      '$numberDecimal',
+      '$binary',
+      '$timestamp',
+      '$uuid',
+    ],
+    converters: {},
+  },
   debug: {
     enabled: false,
     level: 'info',
@@ -53,4 +154,74 @@ const DEFAULT_OPTIONS = Object.freeze({
   },
 });
 
-module.exports = { PATTERNS, LOG_LEVELS, LOG_COLORS, DEFAULT_OPTIONS };
+// BSON types holding a single scalar value, safe to pass through as they are
+const BSON_VALUE_TYPES = Object.freeze([
+  'ObjectId',
+  'ObjectID',
+  'Decimal128',
+  'Long',
+  'Int32',
+  'Double',
+  'Timestamp',
+  'Binary',
+  'UUID',
+  'MinKey',
+  'MaxKey',
+]);
+
+// Handlers tried after the user's `typeHandlers`
+const BUILTIN_TYPE_HANDLERS = Object.freeze([
+  Object.freeze({ name: 'Map', type: Map, action: 'traverse' }),
+  Object.freeze({ name: 'Set', type: Set, action: 'traverse' }),
+  // Buffer, TypedArrays, DataView and ArrayBuffer hold raw bytes, never operators
+  Object.freeze({
+    name: 'binary',
+    test: (value) => ArrayBuffer.isView(value) || value instanceof ArrayBuffer,
+    action: 'preserve',
+  }),
+  // Duck-typed on `_bsontype`, so values from any copy or version of the bson package match
+  Object.freeze({ name: 'bson', test: (value) => BSON_VALUE_TYPES.includes(value._bsontype), action: 'preserve' }),
+]);
+
+// Conversions for `ejson.action: 'convert'` of the wrappers with a native JavaScript
+// counterpart; the others stay wrappers unless `ejson.converters` has one for them
+const EJSON_CONVERTERS = Object.freeze({
+  $date: (value) => new Date(typeof value === 'string' ? value : Number(value.$numberLong)),
+  $numberInt: Number,
+  $numberLong: BigInt,
+  $numberDouble: Number,
+});
+
+// Options a path-scoped rule may override; everything else stays request-wide
+const RULE_OPTIONS = Object.freeze([
+  'replaceWith',
+  'removeMatches',
+  'removeEmpty',
+  'patterns',
+  'keyPatterns',
+  'valuePatterns',
+  'valueMode',
+  'preserve',
+  'allowedKeys',
+  'deniedKeys',
+  'keyMatching',
+  'allowedOperators',
+  'stringOptions',
+  'arrayOptions',
+  'dotNotation',
+]);
+
+module.exports = {
+  PATTERNS,
+  UNICODE_PATTERNS,
+  OPERATOR_VALUE_PATTERNS,
+  INVISIBLE_CHARS_RE,
+  SEVERITY_LOG_LEVELS,
+  LOG_LEVELS,
+  LOG_COLORS,
+  DEFAULT_OPTIONS,
+  RULE_OPTIONS,
+  BSON_VALUE_TYPES,
+  BUILTIN_TYPE_HANDLERS,
+  EJSON_CONVERTERS,
+};
@@ -15,4 +15,61 @@ class NoSQLSanitizeError extends Error {
   }
 }
 
-module.exports = { NoSQLSanitizeError };
+// How many offending paths the rejection message lists, and how much of each
+const MESSAGE_PATHS = 10;
+const MESSAGE_PATH_LENGTH = 200;
+
+/**
+ * Whether an event makes `action: 'reject'` fail the request.
+ *
+ * `maxDepth` events are ignored with `maxDepthAction` `'passThrough'` (nothing was modified)
+ * and `'stringsOnly'` (modified strings are reported by their own `value` events), and
+ * `ejson` events always are, since a converted Extended JSON wrapper is valid input.
+ *
+ * @param {Object} event - An `onSanitize` event.
+ * @param {Object} options - Resolved options.
+ * @returns {boolean}
+ */
+const isViolation = (event, options) => {
+  if (event.type === 'ejson') return false;
+  return (
+    event.type !== 'maxDepth' || (options.maxDepthAction !== 'passThrough' && options.maxDepthAction !== 'stringsOnly')
+  );
+};
+
+/**
+ * Builds the error raised when `action: 'reject'` (or a per-feature `reject` policy)
+ * finds forbidden input.
+ *
+ * The error carries `statusCode`, the unique offending `paths` and the `events` themselves,
+ * as kept by the collector (at most `rejectOptions.maxEvents`), and in `omitted` how many
+ * more were only counted. The message lists the first few paths.
+ *
+ * @param {{events: Array<Object>, total: number}} collection - Events collected while sanitizing
+ * the request (see `withEventCollector()`), and how many there were in all.
+ * @param {Object} options - Resolved options.
+ * @returns {NoSQLSanitizeError|null} The rejection error, or `null` if nothing offended.
+ */
+const createRejectError = (collection, options) => {
+  const violations = collection.events.filter((event) => isViolation(event, options));
+  if (!violations.length) return null;
+
+  const paths = [...new Set(violations.map((event) => event.path))];
+  const omitted = Math.max(0, collection.total - collection.events.length);
+  const more = Math.max(0, paths.length - MESSAGE_PATHS) + omitted;
+  const listed = paths
+    .slice(0, MESSAGE_PATHS)
+    .map((path) => (path.length > MESSAGE_PATH_LENGTH ? `${path.slice(0, MESSAGE_PATH_LENGTH)}…` : path))
+    .join(', ');
+  const error = new NoSQLSanitizeError(
+    `Request rejected: forbidden input at ${listed}${more > 0 ? ` and ${more} more` : ''}`,
+    'rejected',
+  );
+  error.statusCode = options.rejectOptions.statusCode;
+  error.paths = paths;
+  error.events = violations;
+  error.omitted = omitted;
+  return error;
+};
+
+module.exports = { NoSQLSanitizeError, isViolation, createRejectError };
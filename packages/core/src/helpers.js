@@ -1,6 +1,6 @@
 'use strict';
 
-const { LOG_LEVELS, LOG_COLORS } = require('./constants');
+const { LOG_LEVELS, LOG_COLORS, SEVERITY_LOG_LEVELS } = require('./constants');
 const { NoSQLSanitizeError } = require('./errors');
 
 const isString = (value) => typeof value === 'string';
@@ -62,6 +62,454 @@ const extractMimeType = (contentType) => {
   return mime || null;
 };
 
+/**
+ * Creates a traversal path node. Nodes link to their parent, so creating one per
+ * visited value is O(1); string forms are only built when something asks for them.
+ * `source` is the request field the traversal started from (e.g. "body"), or null.
+ */
+const createPath = (parent, key, source = parent ? parent.source : null) => ({
+  parent,
+  key,
+  source,
+  formattedPath: undefined,
+  formattedPointer: undefined,
+});
+
+/**
+ * Returns the segments of a path node from root to leaf.
+ */
+const pathSegments = (path) => {
+  const segments = [];
+  for (let node = path; node; node = node.parent) segments.push(node.key);
+  return segments.reverse();
+};
+
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Formats `path` with `append(prefix, segment)`, caching the result in `field` of every node
+ * on the way, so formatting each node of a deep path costs O(depth) in total, not O(depth²).
+ */
+const formatCached = (path, field, append) => {
+  const pending = [];
+  let node = path;
+  for (; node && node[field] === undefined; node = node.parent) pending.push(node);
+  let out = node ? node[field] : '';
+  for (let i = pending.length - 1; i >= 0; i--) {
+    out = append(out, pending[i].key);
+    pending[i][field] = out;
+  }
+  return out;
+};
+
+/**
+ * Text for a Map key that is neither a string nor a number: `Symbol(desc)`, `true`, `10n`, or
+ * `[object Map]`-style tags for objects, whose own `toString()` is never called.
+ */
+const segmentLabel = (segment) =>
+  segment !== null && (typeof segment === 'object' || typeof segment === 'function')
+    ? Object.prototype.toString.call(segment)
+    : String(segment);
+
+const appendPathSegment = (out, segment) => {
+  if (isNumber(segment)) return `${out}[${segment}]`;
+  if (!isString(segment)) return `${out}[${segmentLabel(segment)}]`;
+  if (!IDENTIFIER_RE.test(segment)) return `${out}[${JSON.stringify(segment)}]`;
+  return out ? `${out}.${segment}` : segment;
+};
+
+const appendPointerSegment = (out, segment) => {
+  const text = isString(segment) || isNumber(segment) ? String(segment) : segmentLabel(segment);
+  return `${out}/${text.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+};
+
+/**
+ * Formats a path node as an accessor string.
+ * body → filters → 2 → name  →  "body.filters[2].name"
+ */
+const formatPath = (path) => formatCached(path, 'formattedPath', appendPathSegment);
+
+/**
+ * Formats a path node as an RFC 6901 JSON Pointer.
+ * body → filters → 2 → name  →  "/body/filters/2/name"
+ */
+const formatPointer = (path) => formatCached(path, 'formattedPointer', appendPointerSegment);
+
+const ANY_KEY = Symbol('anyKey');
+const ANY_INDEX = Symbol('anyIndex');
+const PATH_TOKEN_RE = /\[(\*|\d+|"(?:[^"\\]|\\.)*")\]|(?:^|\.)([^.[\]]+)/y;
+
+/**
+ * Compiles a path pattern into segments, using the same syntax as `formatPath()`.
+ * `*` matches any object key and `[*]` any array index:
+ * "body.items[*].name" → ['body', 'items', ANY_INDEX, 'name']
+ * Returns null if the pattern is malformed.
+ */
+const compilePathPattern = (pattern) => {
+  if (!isString(pattern) || pattern.length === 0) return null;
+
+  const segments = [];
+  let index = 0;
+  while (index < pattern.length) {
+    PATH_TOKEN_RE.lastIndex = index;
+    const match = PATH_TOKEN_RE.exec(pattern);
+    if (!match) return null;
+
+    const [, bracket, name] = match;
+    if (name !== undefined) segments.push(name === '*' ? ANY_KEY : name);
+    else if (bracket === '*') segments.push(ANY_INDEX);
+    else if (bracket[0] !== '"') segments.push(Number(bracket));
+    else {
+      try {
+        segments.push(JSON.parse(bracket));
+      } catch {
+        return null;
+      }
+    }
+    index = PATH_TOKEN_RE.lastIndex;
+  }
+  return segments;
+};
+
+/**
+ * Whether a single path node matches one pattern segment. A node renamed by the
+ * sanitizer carries its new name as `outputKey`, and matches under either name.
+ */
+const matchSegment = (node, segment) => {
+  if (segment === ANY_KEY) return isString(node.key);
+  if (segment === ANY_INDEX) return isNumber(node.key);
+  return segment === node.key || segment === node.outputKey;
+};
+
+/**
+ * Whether a path node matches compiled pattern segments exactly (same depth).
+ */
+const matchPathPattern = (path, segments) => {
+  let node = path;
+  for (let i = segments.length - 1; i >= 0; i--, node = node.parent) {
+    if (!node || !matchSegment(node, segments[i])) return false;
+  }
+  return node === null;
+};
+
+/**
+ * Whether a path node matches the leading segments of a pattern, i.e. the
+ * pattern points at this node or somewhere below it.
+ */
+const matchPathPrefix = (path, segments) => {
+  let depth = 0;
+  for (let node = path; node; node = node.parent) depth++;
+  if (depth > segments.length) return false;
+
+  let node = path;
+  for (let i = depth - 1; i >= 0; i--, node = node.parent) {
+    if (!matchSegment(node, segments[i])) return false;
+  }
+  return true;
+};
+
+const splitDotted = (key) => key.split('.').map((part) => (/^\d+$/.test(part) ? Number(part) : part));
+
+/**
+ * Returns `path` with every dotted key split into one node per segment, the way MongoDB
+ * reads `{ "account.isAdmin": true }` in an update: body → "account.isAdmin" becomes
+ * body → account → isAdmin. Numeric segments become array indexes. The path itself is
+ * returned when it holds no dotted key.
+ */
+const expandDottedPath = (path) => {
+  let dotted = false;
+  for (let node = path; node && !dotted; node = node.parent) {
+    dotted =
+      (isString(node.key) && node.key.includes('.')) || (isString(node.outputKey) && node.outputKey.includes('.'));
+  }
+  if (!dotted) return path;
+
+  const nodes = [];
+  for (let node = path; node; node = node.parent) nodes.push(node);
+  let expanded = null;
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const { key, outputKey, source } = nodes[i];
+    const written = outputKey ?? key;
+    if (!isString(written) || !written.includes('.')) {
+      expanded = createPath(expanded, key, source);
+      if (outputKey !== undefined) expanded.outputKey = outputKey;
+      continue;
+    }
+    // Pair the original and written segments when the sanitizer kept their number
+    const parts = splitDotted(written);
+    const originalParts = isString(key) ? splitDotted(key) : [];
+    const paired = originalParts.length === parts.length;
+    for (let j = 0; j < parts.length; j++) {
+      expanded = createPath(expanded, paired ? originalParts[j] : parts[j], source);
+      if (paired && originalParts[j] !== parts[j]) expanded.outputKey = parts[j];
+    }
+  }
+  return expanded;
+};
+
+/**
+ * Compiles a route for `routeFields`: RegExps are used as-is, strings are cleaned
+ * like `skipRoutes` and `:name` segments match any single path segment.
+ * "/users/:id" → /^\/users\/[^/]+$/
+ */
+const compileRoute = (route) => {
+  if (route instanceof RegExp) return route;
+  const cleaned = cleanUrl(route);
+  if (!cleaned) return null;
+  const source = cleaned
+    .split('/')
+    .map((segment) => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${source}$`);
+};
+
+const GLOB_SPECIAL_RE = /[*?]/;
+
+/**
+ * Compiles a glob to an anchored RegExp: `*` matches any run of characters, `?` one character.
+ * "*password*" → /^.*password.*$/
+ */
+const globToRegExp = (glob, flags = '') => {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, flags);
+};
+
+/**
+ * Folds a key for comparison under `keyMatching`:
+ * `'caseInsensitive'` lowercases it, `'normalized'` also applies NFKC ("＄ｗｈｅｒｅ" → "$where").
+ */
+const foldKey = (key, keyMatching) => {
+  if (keyMatching === 'exact') return key;
+  return (keyMatching === 'normalized' ? key.normalize('NFKC') : key).toLowerCase();
+};
+
+const PATTERN_RULE_KEYS = ['name', 'pattern', 'replaceWith', 'severity', 'appliesTo'];
+
+/**
+ * Whether `entry` is a valid `patterns` entry: a RegExp, or a named rule object
+ * `{ name, pattern, replaceWith?, severity?, appliesTo? }`.
+ */
+const isPatternEntry = (entry) =>
+  entry instanceof RegExp ||
+  (isPlainObject(entry) &&
+    Object.keys(entry).every((key) => PATTERN_RULE_KEYS.includes(key)) &&
+    isString(entry.name) &&
+    entry.name.length > 0 &&
+    entry.pattern instanceof RegExp &&
+    (entry.replaceWith === undefined || isString(entry.replaceWith)) &&
+    (entry.severity === undefined || Object.hasOwn(SEVERITY_LOG_LEVELS, entry.severity)) &&
+    (entry.appliesTo === undefined || ['key', 'value'].includes(entry.appliesTo)));
+
+/**
+ * Compiles `patterns` for keys or values (`appliesTo`), skipping rules meant for the other.
+ * Patterns sharing the same flags are joined into one global regex per flag set, so flags
+ * like `i`, `u` or `s` are kept. A group is `custom` when one of its rules has its own
+ * `replaceWith`; `named` lists the named rules, with a non-global copy for reporting.
+ */
+const compilePatternRules = (patterns, appliesTo) => {
+  const groups = new Map();
+  const named = [];
+
+  for (const entry of patterns) {
+    const rule = entry instanceof RegExp ? { name: null, pattern: entry } : entry;
+    if (rule.appliesTo && rule.appliesTo !== appliesTo) continue;
+
+    const flags = rule.pattern.flags.replace(/[gy]/g, '');
+    const compiled = {
+      name: rule.name,
+      severity: rule.name ? rule.severity || 'medium' : null,
+      replaceWith: rule.replaceWith ?? null,
+      sticky: new RegExp(rule.pattern.source, `${flags}y`),
+    };
+    if (!groups.has(flags)) groups.set(flags, { flags, sources: [], rules: [] });
+    const group = groups.get(flags);
+    group.sources.push(rule.pattern.source);
+    group.rules.push(compiled);
+    if (compiled.name) named.push({ ...compiled, regex: new RegExp(rule.pattern.source, flags) });
+  }
+
+  return {
+    groups: [...groups.values()].map(({ flags, sources, rules }) => ({
+      regex: new RegExp(sources.join('|'), `${flags}g`),
+      rules,
+      custom: rules.some((rule) => rule.replaceWith !== null),
+    })),
+    named,
+  };
+};
+
+/**
+ * Compiles an `allowedKeys` / `deniedKeys` list. Plain strings go into a Set for O(1)
+ * lookups; globs and RegExps are kept as RegExps (made case-insensitive unless `keyMatching` is `'exact'`).
+ */
+const compileKeyList = (entries, keyMatching) => {
+  const exact = new Set();
+  const regex = [];
+  const flags = keyMatching === 'exact' ? '' : 'i';
+
+  for (const entry of entries) {
+    if (entry instanceof RegExp) {
+      regex.push(flags && !entry.flags.includes('i') ? new RegExp(entry.source, entry.flags + flags) : entry);
+    } else if (GLOB_SPECIAL_RE.test(entry)) {
+      regex.push(globToRegExp(foldKey(entry, keyMatching), flags));
+    } else {
+      exact.add(foldKey(entry, keyMatching));
+    }
+  }
+  return { exact, regex, keyMatching };
+};
+
+/**
+ * Whether `key` matches a list compiled by `compileKeyList()`.
+ */
+const matchKeyList = (key, list) => {
+  const { exact, regex, keyMatching } = list;
+  if (!exact.size && !regex.length) return false;
+
+  const folded = foldKey(key, keyMatching);
+  if (exact.has(folded)) return true;
+  for (const pattern of regex) {
+    // Reset lastIndex so global (/g) expressions do not keep state between keys
+    pattern.lastIndex = 0;
+    if (pattern.test(folded)) return true;
+  }
+  return false;
+};
+
+const PERCENT_RUN_RE = /(?:%[0-9a-fA-F]{2})+/g;
+const UNICODE_ESCAPE_RE = /\\u([0-9a-fA-F]{4})/g;
+
+/**
+ * Decodes one run of percent-encoded bytes: as UTF-8 when valid, byte by byte otherwise.
+ */
+const decodePercentRun = (run) => {
+  try {
+    return decodeURIComponent(run);
+  } catch {
+    return run.replace(/%([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+};
+
+/**
+ * Undoes percent-encoding and JSON `\uXXXX` escapes, up to `decoding.rounds` times or until
+ * nothing changes, so "%2524gt" → "%24gt" → "$gt".
+ */
+const decodeString = (str, decoding) => {
+  let current = str;
+  for (let round = 0; round < decoding.rounds; round++) {
+    let next = current;
+    if (decoding.percent && next.includes('%')) next = next.replace(PERCENT_RUN_RE, decodePercentRun);
+    if (decoding.unicodeEscapes && next.includes('\\u')) {
+      next = next.replace(UNICODE_ESCAPE_RE, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    if (next === current) break;
+    current = next;
+  }
+  return current;
+};
+
+/**
+ * Parses `str` if it looks like a JSON object or array (`{...}` / `[...]`, surrounding
+ * whitespace allowed). Returns undefined for anything else, including invalid JSON.
+ */
+const parseJsonString = (str) => {
+  const trimmed = str.trim();
+  const first = trimmed[0];
+  const last = trimmed[trimmed.length - 1];
+  if (!((first === '{' && last === '}') || (first === '[' && last === ']'))) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return undefined;
+  }
+};
+
+const INTEGER_RE = /^-?\d+$/;
+const NUMBER_RE = /^-?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SPECIAL_NUMBERS = ['Infinity', '-Infinity', 'NaN'];
+
+const hasOnlyKeys = (obj, ...keys) =>
+  isPlainObject(obj) && Object.keys(obj).length === keys.length && keys.every((key) => Object.hasOwn(obj, key));
+
+const isIntegerString = (value, bits) => {
+  if (!isString(value) || !INTEGER_RE.test(value)) return false;
+  const limit = 2n ** BigInt(bits - 1);
+  const n = BigInt(value);
+  return n >= -limit && n < limit;
+};
+
+const isUint32 = (value) => Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+
+/**
+ * Strict checks for the content of each supported Extended JSON wrapper (canonical and
+ * relaxed forms). `$regularExpression`, `$code` and the like are deliberately absent.
+ */
+const EJSON_VALIDATORS = Object.freeze({
+  $oid: (v) => isString(v) && /^[0-9a-f]{24}$/i.test(v),
+  $date: (v) =>
+    (isString(v) && ISO_DATE_RE.test(v) && !Number.isNaN(Date.parse(v))) ||
+    (hasOnlyKeys(v, '$numberLong') && isIntegerString(v.$numberLong, 64)),
+  $numberInt: (v) => isIntegerString(v, 32),
+  $numberLong: (v) => isIntegerString(v, 64),
+  $numberDouble: (v) => isString(v) && (NUMBER_RE.test(v) || SPECIAL_NUMBERS.includes(v)),
+  $numberDecimal: (v) => isString(v) && (NUMBER_RE.test(v) || SPECIAL_NUMBERS.includes(v)),
+  $binary: (v) =>
+    hasOnlyKeys(v, 'base64', 'subType') &&
+    isString(v.base64) &&
+    BASE64_RE.test(v.base64) &&
+    isString(v.subType) &&
+    /^[0-9a-f]{1,2}$/i.test(v.subType),
+  $timestamp: (v) => hasOnlyKeys(v, 't', 'i') && isUint32(v.t) && isUint32(v.i),
+  $uuid: (v) => isString(v) && UUID_RE.test(v),
+});
+
+const URL_RE = /^https?:\/\/[^\s\u0000-\u001F\u007F-\u009F]+$/i;
+const CURRENCY_RE = /^[-+]?(?:[$€£¥₹₺] ?\d+(?:[,. ]\d+)*|\d+(?:[,. ]\d+)* ?[$€£¥₹₺])$/;
+const PHONE_RE = /^\+?[(\d][\d ().-]{5,18}\d$/;
+
+/**
+ * Built-in `preserve` formats: string values matching one of them are left unsanitized.
+ */
+const PRESERVE_FORMATS = Object.freeze({
+  email: isEmail,
+  url: (v) => URL_RE.test(v),
+  uuid: (v) => UUID_RE.test(v),
+  isoDate: (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v) || ISO_DATE_RE.test(v)) && !Number.isNaN(Date.parse(v)),
+  currency: (v) => CURRENCY_RE.test(v),
+  phone: (v) => PHONE_RE.test(v),
+});
+
+/**
+ * Compiles a `preserve` list into predicates: built-in format names, RegExps and functions.
+ */
+const compilePreserveList = (entries) =>
+  entries.map((entry) => {
+    if (isFunction(entry)) return entry;
+    if (entry instanceof RegExp) {
+      return (v) => {
+        entry.lastIndex = 0;
+        return entry.test(v);
+      };
+    }
+    return PRESERVE_FORMATS[entry];
+  });
+
+/**
+ * Returns the wrapper key if `value` is exactly an Extended JSON wrapper of one of `types`
+ * (a single own key, e.g. `{ "$oid": "..." }`) with valid content, otherwise null.
+ */
+const ejsonType = (value, types) => {
+  const keys = Object.keys(value);
+  if (keys.length !== 1 || !types.has(keys[0])) return null;
+  return EJSON_VALIDATORS[keys[0]](value[keys[0]]) ? keys[0] : null;
+};
+
 const log = (debugOpts, level, context, message, data = null) => {
   if (!debugOpts?.enabled || LOG_LEVELS[debugOpts.level || 'silent'] < LOG_LEVELS[level]) return;
 
@@ -95,6 +543,7 @@ const validators = Object.freeze({
   removeMatches: isBoolean,
   sanitizeObjects: isArray,
   mode: (v) => ['auto', 'manual'].includes(v),
+  action: (v) => ['sanitize', 'reject', 'report'].includes(v),
   skipRoutes: isArray,
   contentTypes: (v) => v === null || isArray(v),
   customSanitizer: (v) => v === null || isFunction(v),
@@ -102,16 +551,126 @@ const validators = Object.freeze({
   recursive: isBoolean,
   removeEmpty: isBoolean,
   maxDepth: (v) => v === null || (isNumber(v) && v > 0),
-  patterns: isArray,
-  allowedKeys: (v) => v === null || isArray(v),
-  deniedKeys: (v) => v === null || isArray(v),
+  maxDepthAction: (v) => ['truncate', 'null', 'reject', 'stringsOnly', 'passThrough'].includes(v),
+  patterns: (v) => isArray(v) && v.every(isPatternEntry),
+  keyPatterns: (v) => v === null || (isArray(v) && v.every(isPatternEntry)),
+  valuePatterns: (v) => v === null || (isArray(v) && v.every(isPatternEntry)),
+  valueMode: (v) => ['all', 'operators'].includes(v),
+  preserve: (v) =>
+    isArray(v) &&
+    v.every(
+      (entry) =>
+        (isString(entry) && Object.hasOwn(PRESERVE_FORMATS, entry)) || entry instanceof RegExp || isFunction(entry),
+    ),
+  allowedKeys: (v) => v === null || (isArray(v) && v.every((k) => isString(k) || k instanceof RegExp)),
+  deniedKeys: (v) => v === null || (isArray(v) && v.every((k) => isString(k) || k instanceof RegExp)),
+  keyMatching: (v) => ['exact', 'caseInsensitive', 'normalized'].includes(v),
+  allowedOperators: (v) =>
+    isArray(v) &&
+    v.every(
+      (entry) =>
+        (isString(entry) && entry.startsWith('$')) ||
+        (isPlainObject(entry) &&
+          isString(entry.operator) &&
+          entry.operator.startsWith('$') &&
+          isArray(entry.paths) &&
+          entry.paths.every(isString)),
+    ),
   stringOptions: isPlainObject,
   arrayOptions: isPlainObject,
+  rejectOptions: (v) =>
+    isPlainObject(v) &&
+    Number.isInteger(v.statusCode) &&
+    v.statusCode >= 400 &&
+    v.statusCode <= 599 &&
+    (v.body === null || isPlainObject(v.body) || isFunction(v.body)) &&
+    Number.isInteger(v.maxEvents) &&
+    v.maxEvents > 0,
+  prototypePollution: (v) =>
+    isPlainObject(v) &&
+    ['drop', 'rename', 'reject'].includes(v.action) &&
+    isArray(v.keys) &&
+    v.keys.every(isString) &&
+    isString(v.renamePrefix) &&
+    v.renamePrefix.length > 0 &&
+    isBoolean(v.nullPrototype),
+  rules: isPlainObject,
+  dotNotation: (v) =>
+    isPlainObject(v) &&
+    ['keep', 'strip', 'replace', 'reject'].includes(v.action) &&
+    isString(v.replaceWith) &&
+    !v.replaceWith.includes('.') &&
+    isArray(v.allow) &&
+    v.allow.every(isString),
+  deniedPaths: (v) => isArray(v) && v.every((p) => compilePathPattern(p) !== null),
+  allowedPaths: (v) => isArray(v) && v.every((p) => compilePathPattern(p) !== null),
+  routeFields: (v) =>
+    isArray(v) &&
+    v.every(
+      (entry) =>
+        isPlainObject(entry) &&
+        Object.keys(entry).every((key) => ['route', 'methods', 'allowedPaths', 'deniedPaths'].includes(key)) &&
+        (entry.route instanceof RegExp || (isString(entry.route) && cleanUrl(entry.route) !== null)) &&
+        (entry.methods === undefined || (isArray(entry.methods) && entry.methods.every(isString))),
+    ),
+  scalarFields: (v) =>
+    isPlainObject(v) &&
+    ['reject', 'stringify', 'drop'].includes(v.action) &&
+    isArray(v.paths) &&
+    v.paths.every((p) => compilePathPattern(p) !== null),
+  unicode: (v) =>
+    isPlainObject(v) && isBoolean(v.enabled) && isBoolean(v.normalize) && ['strip', 'flag'].includes(v.invisible),
+  decoding: (v) =>
+    isPlainObject(v) &&
+    Number.isInteger(v.rounds) &&
+    v.rounds >= 0 &&
+    isBoolean(v.percent) &&
+    isBoolean(v.unicodeEscapes),
+  jsonStrings: (v) =>
+    isPlainObject(v) &&
+    ['string', 'object'].includes(v.output) &&
+    isArray(v.paths) &&
+    v.paths.every((p) => compilePathPattern(p) !== null),
+  limits: (v) =>
+    isPlainObject(v) &&
+    ['maxKeys', 'maxArrayLength', 'maxKeyLength', 'maxNodes', 'maxStringLength'].every(
+      (name) => v[name] === null || (Number.isInteger(v[name]) && v[name] > 0),
+    ) &&
+    ['truncate', 'reject'].includes(v.action) &&
+    (v.onStats === null || isFunction(v.onStats)),
+  keyCollision: (v) =>
+    isPlainObject(v) &&
+    ['keepOriginal', 'keepFirst', 'suffix', 'reject'].includes(v.action) &&
+    isString(v.suffix) &&
+    v.suffix.length > 0,
+  typeHandlers: (v) =>
+    isArray(v) &&
+    v.every(
+      (handler) =>
+        isPlainObject(handler) &&
+        // Exactly one of `type` (a constructor) and `test` (a predicate)
+        isFunction(handler.type) !== isFunction(handler.test) &&
+        ['traverse', 'preserve', 'reject'].includes(handler.action) &&
+        (handler.name === undefined || isString(handler.name)),
+    ),
+  ejson: (v) =>
+    isPlainObject(v) &&
+    ['off', 'keep', 'convert'].includes(v.action) &&
+    isArray(v.types) &&
+    v.types.every((type) => Object.hasOwn(EJSON_VALIDATORS, type)) &&
+    isPlainObject(v.converters) &&
+    Object.entries(v.converters).every(
+      ([type, convert]) => Object.hasOwn(EJSON_VALIDATORS, type) && isFunction(convert),
+    ),
+  circular: (v) => isPlainObject(v) && ['throw', 'marker', 'preserve'].includes(v.action) && v.marker !== undefined,
   debug: isPlainObject,
 });
 
+// Listed once, since options are validated again for every rule and route
+const VALIDATOR_ENTRIES = Object.entries(validators);
+
 const validateOptions = (options) => {
-  for (const [key, validate] of Object.entries(validators)) {
+  for (const [key, validate] of VALIDATOR_ENTRIES) {
     if (options[key] !== undefined && !validate(options[key])) {
       throw new NoSQLSanitizeError(`Invalid configuration: "${key}"`, 'type_error');
     }
@@ -131,6 +690,27 @@ module.exports = {
   isEmail,
   cleanUrl,
   extractMimeType,
+  createPath,
+  pathSegments,
+  formatPath,
+  formatPointer,
+  compilePathPattern,
+  matchPathPattern,
+  matchPathPrefix,
+  expandDottedPath,
+  compileRoute,
+  globToRegExp,
+  foldKey,
+  compileKeyList,
+  matchKeyList,
+  isPatternEntry,
+  compilePatternRules,
+  decodeString,
+  parseJsonString,
+  EJSON_VALIDATORS,
+  ejsonType,
+  PRESERVE_FORMATS,
+  compilePreserveList,
   log,
   startTiming,
   validateOptions,
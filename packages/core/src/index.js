@@ -1,8 +1,29 @@
 'use strict';
 
-const { DEFAULT_OPTIONS, PATTERNS, LOG_LEVELS, LOG_COLORS } = require('./constants');
-const { NoSQLSanitizeError } = require('./errors');
-const { sanitizeString, sanitizeArray, sanitizeObject, sanitizeValue } = require('./sanitizers');
+const {
+  DEFAULT_OPTIONS,
+  PATTERNS,
+  LOG_LEVELS,
+  LOG_COLORS,
+  SEVERITY_LOG_LEVELS,
+  RULE_OPTIONS,
+  UNICODE_PATTERNS,
+  OPERATOR_VALUE_PATTERNS,
+  INVISIBLE_CHARS_RE,
+  BSON_VALUE_TYPES,
+  BUILTIN_TYPE_HANDLERS,
+  EJSON_CONVERTERS,
+} = require('./constants');
+const { NoSQLSanitizeError, isViolation, createRejectError } = require('./errors');
+const {
+  sanitizeString,
+  sanitizeArray,
+  sanitizeObject,
+  sanitizeValue,
+  optionsForPath,
+  withTraversalState,
+  releaseTraversalState,
+} = require('./sanitizers');
 const helpers = require('./helpers');
 
 /**
@@ -32,6 +53,39 @@ const resolveOptions = (userOptions = {}) => {
   if (userOptions.arrayOptions !== undefined && !helpers.isPlainObject(userOptions.arrayOptions)) {
     throw new NoSQLSanitizeError('Invalid configuration: "arrayOptions"', 'type_error');
   }
+  if (userOptions.rejectOptions !== undefined && !helpers.isPlainObject(userOptions.rejectOptions)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "rejectOptions"', 'type_error');
+  }
+  if (userOptions.prototypePollution !== undefined && !helpers.isPlainObject(userOptions.prototypePollution)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "prototypePollution"', 'type_error');
+  }
+  if (userOptions.dotNotation !== undefined && !helpers.isPlainObject(userOptions.dotNotation)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "dotNotation"', 'type_error');
+  }
+  if (userOptions.scalarFields !== undefined && !helpers.isPlainObject(userOptions.scalarFields)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "scalarFields"', 'type_error');
+  }
+  if (userOptions.unicode !== undefined && !helpers.isPlainObject(userOptions.unicode)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "unicode"', 'type_error');
+  }
+  if (userOptions.decoding !== undefined && !helpers.isPlainObject(userOptions.decoding)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "decoding"', 'type_error');
+  }
+  if (userOptions.jsonStrings !== undefined && !helpers.isPlainObject(userOptions.jsonStrings)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "jsonStrings"', 'type_error');
+  }
+  if (userOptions.limits !== undefined && !helpers.isPlainObject(userOptions.limits)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "limits"', 'type_error');
+  }
+  if (userOptions.keyCollision !== undefined && !helpers.isPlainObject(userOptions.keyCollision)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "keyCollision"', 'type_error');
+  }
+  if (userOptions.circular !== undefined && !helpers.isPlainObject(userOptions.circular)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "circular"', 'type_error');
+  }
+  if (userOptions.ejson !== undefined && !helpers.isPlainObject(userOptions.ejson)) {
+    throw new NoSQLSanitizeError('Invalid configuration: "ejson"', 'type_error');
+  }
 
   // Deep merge default options with user-provided options safely
   const opts = {
@@ -39,14 +93,37 @@ const resolveOptions = (userOptions = {}) => {
     ...userOptions,
     stringOptions: { ...DEFAULT_OPTIONS.stringOptions, ...(userOptions.stringOptions || {}) },
     arrayOptions: { ...DEFAULT_OPTIONS.arrayOptions, ...(userOptions.arrayOptions || {}) },
+    rejectOptions: { ...DEFAULT_OPTIONS.rejectOptions, ...(userOptions.rejectOptions || {}) },
+    prototypePollution: { ...DEFAULT_OPTIONS.prototypePollution, ...(userOptions.prototypePollution || {}) },
+    dotNotation: { ...DEFAULT_OPTIONS.dotNotation, ...(userOptions.dotNotation || {}) },
+    scalarFields: { ...DEFAULT_OPTIONS.scalarFields, ...(userOptions.scalarFields || {}) },
+    jsonStrings: { ...DEFAULT_OPTIONS.jsonStrings, ...(userOptions.jsonStrings || {}) },
+    decoding: { ...DEFAULT_OPTIONS.decoding, ...(userOptions.decoding || {}) },
+    unicode: { ...DEFAULT_OPTIONS.unicode, ...(userOptions.unicode || {}) },
+    limits: { ...DEFAULT_OPTIONS.limits, ...(userOptions.limits || {}) },
+    keyCollision: { ...DEFAULT_OPTIONS.keyCollision, ...(userOptions.keyCollision || {}) },
+    circular: { ...DEFAULT_OPTIONS.circular, ...(userOptions.circular || {}) },
+    ejson: { ...DEFAULT_OPTIONS.ejson, ...(userOptions.ejson || {}) },
     debug: { ...DEFAULT_OPTIONS.debug, ...(userOptions.debug || {}) },
   };
 
   helpers.validateOptions(opts);
 
-  // Pre-compile combined pattern (just once) for performance optimization during runtime
-  const patterns = opts.patterns || PATTERNS;
-  opts._combinedPattern = new RegExp(patterns.map((p) => p.source).join('|'), 'g');
+  // Pre-compile the key and value patterns (just once), one combined regex per flag set;
+  // either falls back to `patterns` when not set
+  const unicodePatterns = opts.unicode.enabled ? UNICODE_PATTERNS : [];
+  opts._keyRules = helpers.compilePatternRules(
+    [...(opts.keyPatterns || opts.patterns || PATTERNS), ...unicodePatterns],
+    'key',
+  );
+  opts._valueRules = helpers.compilePatternRules(
+    [...(opts.valuePatterns || opts.patterns || PATTERNS), ...unicodePatterns],
+    'value',
+  );
+  opts._operatorPattern = new RegExp(OPERATOR_VALUE_PATTERNS.map((p) => p.source).join('|'));
+
+  // Value formats exempt from sanitization, as predicates
+  opts._preserve = helpers.compilePreserveList(opts.preserve);
 
   // Parse skipRoutes: Separate exact string matches (converted to a Set for O(1) lookup)
   // and RegExp patterns (kept in an array) for faster evaluation later
@@ -71,9 +148,23 @@ const resolveOptions = (userOptions = {}) => {
     userOptions.contentTypes !== undefined ? userOptions.contentTypes : DEFAULT_OPTIONS.contentTypes;
   opts.contentTypes = rawContentTypes === null ? null : new Set(rawContentTypes.map((ct) => ct.toLowerCase()));
 
-  // Convert allowed and denied keys to Sets for faster inclusion checks
-  opts.allowedKeys = new Set(userOptions.allowedKeys || []);
-  opts.deniedKeys = new Set(userOptions.deniedKeys || []);
+  // Compile allowed and denied keys like skipRoutes: exact names in a Set, globs and RegExps in an array
+  opts.allowedKeys = helpers.compileKeyList(userOptions.allowedKeys || [], opts.keyMatching);
+  opts.deniedKeys = helpers.compileKeyList(userOptions.deniedKeys || [], opts.keyMatching);
+
+  // Map each trusted operator to the path prefixes it is allowed under (null = anywhere)
+  opts.allowedOperators = new Map();
+  for (const entry of userOptions.allowedOperators || []) {
+    const operator = helpers.isString(entry) ? entry : entry.operator;
+    const prefixes = helpers.isString(entry) ? null : entry.paths;
+    const existing = opts.allowedOperators.get(operator);
+    if (existing === null) continue;
+    opts.allowedOperators.set(operator, prefixes && existing ? [...existing, ...prefixes] : prefixes);
+  }
+
+  // Prototype keys and dotted-key exemptions are checked on every object key, so they get Sets as well
+  opts.prototypePollution.keys = new Set(opts.prototypePollution.keys);
+  opts.dotNotation.allow = new Set(opts.dotNotation.allow);
 
   // Set max depth constraint for nested object parsing to prevent stack overflow/ReDoS attacks
   opts.maxDepth = userOptions.maxDepth !== undefined ? userOptions.maxDepth : null;
@@ -81,6 +172,82 @@ const resolveOptions = (userOptions = {}) => {
   // Assign the optional custom callback for post-sanitization hooks
   opts.onSanitize = userOptions.onSanitize || null;
 
+  // Payload limits are only tracked when one is set, or stats are wanted
+  const { limits } = opts;
+  limits._enabled =
+    limits.onStats !== null ||
+    [limits.maxKeys, limits.maxArrayLength, limits.maxKeyLength, limits.maxNodes, limits.maxStringLength].some(
+      (limit) => limit !== null,
+    );
+
+  // Pre-compile scalar-only path patterns
+  opts.scalarFields._segments = opts.scalarFields.paths.map(helpers.compilePathPattern);
+
+  // Pre-compile the paths holding JSON documents as strings
+  opts.jsonStrings._segments = opts.jsonStrings.paths.map(helpers.compilePathPattern);
+
+  // Pre-compile path-based key denial and the field whitelist
+  opts._deniedPaths = opts.deniedPaths.map(helpers.compilePathPattern);
+  opts._allowedPaths = opts.allowedPaths.map(helpers.compilePathPattern);
+
+  // Extended JSON wrappers to recognize, and how to convert them
+  opts.ejson._types = new Set(opts.ejson.types);
+  opts.ejson._converters = { ...EJSON_CONVERTERS, ...opts.ejson.converters };
+
+  // The user's type handlers take precedence over the built-in ones
+  opts._typeHandlers = [
+    ...opts.typeHandlers.map((handler) => ({ ...handler, name: handler.name || handler.type?.name || 'custom' })),
+    ...BUILTIN_TYPE_HANDLERS,
+  ];
+
+  // Compile path-scoped rules. Each rule gets fully resolved options of its own, with nested
+  // option objects merged over the request-wide ones. Rules with fewer wildcards are checked first.
+  opts._rules = [];
+  for (const pattern of Object.keys(opts.rules)) {
+    const segments = helpers.compilePathPattern(pattern);
+    const override = opts.rules[pattern];
+    if (
+      !segments ||
+      !helpers.isPlainObject(override) ||
+      Object.keys(override).some((key) => !RULE_OPTIONS.includes(key))
+    ) {
+      throw new NoSQLSanitizeError(`Invalid configuration: "rules['${pattern}']"`, 'type_error');
+    }
+
+    const ruleOptions = resolveOptions({
+      ...userOptions,
+      ...override,
+      stringOptions: { ...userOptions.stringOptions, ...override.stringOptions },
+      arrayOptions: { ...userOptions.arrayOptions, ...override.arrayOptions },
+      dotNotation: { ...userOptions.dotNotation, ...override.dotNotation },
+      rules: {},
+      routeFields: [],
+    });
+    const wildcards = segments.filter((segment) => typeof segment === 'symbol').length;
+    opts._rules.push({ pattern, segments, wildcards, options: ruleOptions });
+  }
+  opts._rules.sort((a, b) => a.wildcards - b.wildcards);
+  // Deeper rules must still apply inside a rule's subtree
+  for (const rule of opts._rules) rule.options._rules = opts._rules;
+
+  // Compile per-route field lists. A route's `allowedPaths` replaces the request-wide
+  // whitelist, while its `deniedPaths` add to the request-wide ones.
+  opts._routes = opts.routeFields.map((entry) => {
+    const routeOptions = resolveOptions({
+      ...userOptions,
+      allowedPaths: entry.allowedPaths || userOptions.allowedPaths || [],
+      deniedPaths: [...(userOptions.deniedPaths || []), ...(entry.deniedPaths || [])],
+      routeFields: [],
+    });
+    const methods = entry.methods ? new Set(entry.methods.map((method) => method.toUpperCase())) : null;
+    return { route: helpers.compileRoute(entry.route), methods, options: routeOptions };
+  });
+
+  // Filled in by withTraversalState() and releaseTraversalState(). Declared up front, since the
+  // copies they make are far cheaper when they overwrite a property than when they add one.
+  opts._traversal = null;
+  opts._spareTraversal = null;
+
   return opts;
 };
 
@@ -135,6 +302,63 @@ const shouldSanitizeContentType = (request, contentTypes) => {
   return mime ? contentTypes.has(mime) : true;
 };
 
+/**
+ * Returns the options for the request's route: those of the first `routeFields`
+ * entry whose route and methods match, or `options` unchanged.
+ *
+ * @param {Object} request - The HTTP request object (`path` or `url`, and `method`).
+ * @param {Object} options - Resolved options.
+ * @returns {Object} Options to sanitize the request with.
+ */
+const optionsForRoute = (request, options) => {
+  const routes = options._routes;
+  if (!routes.length) return options;
+
+  const requestPath = helpers.cleanUrl(request.path || request.url);
+  if (!requestPath) return options;
+  const method = helpers.isString(request.method) ? request.method.toUpperCase() : null;
+
+  for (const { route, methods, options: routeOptions } of routes) {
+    if (methods && !methods.has(method)) continue;
+    route.lastIndex = 0;
+    if (route.test(requestPath)) return routeOptions;
+  }
+  return options;
+};
+
+/**
+ * Creates an empty event collection for `withEventCollector()`.
+ *
+ * @returns {{events: Array<Object>, total: number}}
+ */
+const createEventCollection = () => ({ events: [], total: 0 });
+
+/**
+ * Returns a copy of `options` whose `onSanitize` also records events into `collection`.
+ * Only events passing `accept` (all by default) are recorded, and at most
+ * `rejectOptions.maxEvents` of them are kept; the rest are only counted in `collection.total`.
+ * The user's own `onSanitize` callback, if any, still fires for every event.
+ *
+ * @param {Object} options - Resolved options.
+ * @param {{events: Array<Object>, total: number}} collection - Receives the emitted events.
+ * @param {Function|null} [accept=null] - Which events to record.
+ * @returns {Object} Options to run the sanitizers with.
+ */
+const withEventCollector = (options, collection, accept = null) => {
+  const { onSanitize } = options;
+  const { maxEvents } = options.rejectOptions;
+  return {
+    ...options,
+    onSanitize: (event) => {
+      if (!accept || accept(event)) {
+        collection.total++;
+        if (collection.events.length < maxEvents) collection.events.push(event);
+      }
+      if (onSanitize) onSanitize(event);
+    },
+  };
+};
+
 /**
  * Handles the sanitization of a request object based on the provided options.
  *
@@ -143,21 +367,40 @@ const shouldSanitizeContentType = (request, contentTypes) => {
  * It conditionally skips sanitization for the `body` field if its content type
  * is not included in the allowed list (`contentTypes`).
  *
+ * With `action: 'reject'`, every field is checked first and a `NoSQLSanitizeError`
+ * of type `rejected` is thrown if anything would be modified; the request is left untouched.
+ * With `action: 'report'`, the would-be changes are emitted through `onSanitize` and
+ * logged, then returned; the request is left untouched.
+ *
  * @param {Object} request - The HTTP request object to be sanitized.
  * @param {Object} options - Configuration options for the sanitization process.
  * @param {Array.<string>} options.sanitizeObjects - List of request fields to be sanitized (e.g., `body`, `query`, `params`).
  * @param {Function} [options.customSanitizer] - Optional custom function to handle the sanitization of field values.
  * @param {boolean} [options.debug] - Flag to enable or disable debug logging.
  * @param {Array.<string>} [options.contentTypes] - Allowed content types that determine whether the `body` field is sanitized.
+ * @param {string} [options.action] - `'sanitize'` rewrites the request, `'reject'` throws on forbidden input,
+ * `'report'` only reports what would change.
+ * @throws {NoSQLSanitizeError} With `action: 'reject'`, when the request contains forbidden input.
+ * @returns {Array<Object>|undefined} With `action: 'report'`, the events for the would-be changes
+ * (at most `rejectOptions.maxEvents`).
  */
 const handleRequest = (request, options) => {
-  const { sanitizeObjects, customSanitizer, debug, contentTypes } = options;
+  const { sanitizeObjects, customSanitizer, debug, contentTypes, action } = options;
   const endTiming = helpers.startTiming(debug, 'Request Sanitization');
 
   helpers.log(debug, 'info', 'REQUEST', 'Sanitizing request');
 
+  // In reject/report mode, collect the events (violations only, for reject) so the offending paths can be reported
+  const collection = action === 'sanitize' ? null : createEventCollection();
+  const routeOptions = optionsForRoute(request, options);
+  const accept = action === 'reject' ? (event) => isViolation(event, options) : null;
+  const collecting = collection ? withEventCollector(routeOptions, collection, accept) : routeOptions;
+  // One traversal state (cycle tracking, limits stats) covers every field of the request
+  const runOptions = withTraversalState(collecting);
+
   // Determine early on if the 'body' payload should be processed based on its MIME type
   const shouldSanitizeBody = shouldSanitizeContentType(request, contentTypes);
+  const updates = [];
 
   for (const field of sanitizeObjects) {
     // Skip 'body' specifically if the content-type validation failed
@@ -181,8 +424,44 @@ const handleRequest = (request, options) => {
     const original = Array.isArray(data) ? [...data] : helpers.isPlainObject(data) ? { ...data } : data;
 
     // Route the data through a custom sanitizer if provided, otherwise use the internal one
-    const sanitized = customSanitizer ? customSanitizer(original, options) : sanitizeValue(original, options);
+    const rootPath = helpers.createPath(null, field, field);
+    const sanitized = customSanitizer
+      ? customSanitizer(original, runOptions)
+      : sanitizeValue(original, optionsForPath(rootPath, runOptions), false, 0, rootPath);
+
+    updates.push([field, sanitized]);
+  }
+
+  const { stats } = runOptions._traversal;
+  if (stats) {
+    helpers.log(debug, 'debug', 'REQUEST', 'Limits stats', stats);
+    if (options.limits.onStats) options.limits.onStats(stats);
+  }
+  releaseTraversalState(collecting, runOptions);
+
+  // Reject before writing anything back, so the request is left exactly as received
+  const rejectError = action === 'reject' && createRejectError(collection, options);
+  if (rejectError) {
+    helpers.log(debug, 'warn', 'REQUEST', 'Request rejected', { paths: rejectError.paths });
+    endTiming();
+    throw rejectError;
+  }
+
+  if (action === 'report') {
+    const { events, total } = collection;
+    if (total) {
+      const { logSanitizedValues } = debug;
+      helpers.log(debug, 'warn', 'REPORT', `Request would be modified at ${total} location(s)`, {
+        changes: events.map(({ type, path, reason, originalValue, sanitizedValue }) =>
+          logSanitizedValues ? { type, path, reason, originalValue, sanitizedValue } : { type, path, reason },
+        ),
+      });
+    }
+    endTiming();
+    return events;
+  }
 
+  for (const [field, sanitized] of updates) {
     // Specific workaround for Express 5+: 'req.query' might be defined as non-writable via getter/setter.
     // If it's writable, do a standard assignment. If not, forcefully redefine the property.
     if (isWritable(request, field)) {
@@ -250,11 +529,18 @@ module.exports = {
   shouldSkipRoute,
   shouldSanitizeContentType,
   isWritable,
+  createEventCollection,
+  withEventCollector,
+  optionsForRoute,
+  isViolation,
+  createRejectError,
 
   sanitizeString,
   sanitizeArray,
   sanitizeObject,
   sanitizeValue,
+  optionsForPath,
+  withTraversalState,
 
   ...helpers,
 
@@ -262,5 +548,13 @@ module.exports = {
   PATTERNS,
   LOG_LEVELS,
   LOG_COLORS,
+  SEVERITY_LOG_LEVELS,
+  RULE_OPTIONS,
+  UNICODE_PATTERNS,
+  OPERATOR_VALUE_PATTERNS,
+  INVISIBLE_CHARS_RE,
+  BSON_VALUE_TYPES,
+  BUILTIN_TYPE_HANDLERS,
+  EJSON_CONVERTERS,
   NoSQLSanitizeError,
 };
@@ -1,124 +1,1187 @@
 'use strict';
 
-const { isString, isArray, isPlainObject, isPrimitive, isDate, isEmail, log } = require('./helpers');
-const { NoSQLSanitizeError } = require('./errors');
+const {
+  isString,
+  isArray,
+  isPlainObject,
+  isPrimitive,
+  isDate,
+  isEmail,
+  createPath,
+  formatPath,
+  formatPointer,
+  matchPathPattern,
+  matchPathPrefix,
+  expandDottedPath,
+  matchKeyList,
+  ejsonType,
+  parseJsonString,
+  decodeString,
+  log,
+} = require('./helpers');
+const { NoSQLSanitizeError, createRejectError } = require('./errors');
+const { INVISIBLE_CHARS_RE, SEVERITY_LOG_LEVELS } = require('./constants');
 
 /**
- * Sanitizes a string value.
+ * An `onSanitize` event. `path` and `pointer` are formatted on first read, so events that are only
+ * counted cost nothing; the getters live on the class rather than on each event, which keeps
+ * building one as cheap as a plain object.
  */
-const sanitizeString = (str, options, isValue = false) => {
-  if (!isString(str) || isEmail(str)) return str;
+class SanitizeEvent {
+  #path;
 
-  const { replaceWith, stringOptions, debug, _combinedPattern } = options;
+  constructor(type, path, originalValue, sanitizedValue) {
+    this.type = type;
+    this.key = path ? path.key : null;
+    this.originalValue = originalValue;
+    this.sanitizedValue = sanitizedValue;
+    this.source = path ? path.source : null;
+    this.#path = path;
+  }
+
+  get path() {
+    return formatPath(this.#path);
+  }
+
+  get pointer() {
+    return formatPointer(this.#path);
+  }
+
+  toJSON() {
+    const { type, key, originalValue, sanitizedValue, path, pointer, source, reason, rules } = this;
+    return { type, key, originalValue, sanitizedValue, path, pointer, source, reason, rules };
+  }
+}
+
+/**
+ * Builds an `onSanitize` event of the given `type` for the value at `path`
+ * (null for the root of a standalone call). `reason` is only set on `remove` and `limit` events,
+ * `rules` (the named pattern rules that matched) only when there are some.
+ */
+const createEvent = (type, path, originalValue, sanitizedValue, reason, rules) => {
+  const event = new SanitizeEvent(type, path, originalValue, sanitizedValue);
+  if (reason) event.reason = reason;
+  if (rules?.length) event.rules = rules;
+  return event;
+};
+
+/**
+ * Builds the rejection error for a single offending event, for `reject` policies in sanitize action.
+ */
+const rejectEvent = (event, options) => createRejectError({ events: [event], total: 1 }, options);
+
+/**
+ * Returns the options in effect at `path`: those of the most specific matching rule,
+ * or `options` unchanged (so a rule's options carry on through its whole subtree).
+ * The current `onSanitize` and traversal state are kept, since `handleRequest` may have wrapped them.
+ */
+const optionsForPath = (path, options) => {
+  const rules = options._rules;
+  if (!rules.length || !path) return options;
+
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (!matchPathPattern(path, rule.segments)) continue;
+    if (rule.options === options) return options;
+    return rule.options.onSanitize === options.onSanitize && rule.options._traversal === options._traversal
+      ? rule.options
+      : { ...rule.options, onSanitize: options.onSanitize, _traversal: options._traversal };
+  }
+  return options;
+};
+
+/**
+ * Fresh `limits` counters: nodes (keys and array elements) visited, the largest sizes
+ * seen, and how often each limit was exceeded.
+ */
+const createStats = () => ({
+  nodes: 0,
+  maxKeys: 0,
+  maxArrayLength: 0,
+  maxKeyLength: 0,
+  maxStringLength: 0,
+  exceeded: { maxKeys: 0, maxArrayLength: 0, maxKeyLength: 0, maxNodes: 0, maxStringLength: 0 },
+});
+
+/**
+ * Returns a copy of `options` carrying fresh state for one traversal, as `_traversal`:
+ * - `frames` holds the frames of the objects/arrays being sanitized, outermost first, and
+ *   `ancestors` maps those past the first SHALLOW_FRAMES (and the subtrees copied by
+ *   `maxDepthAction: 'stringsOnly'`) to their output, to detect cycles (see `findAncestor()`);
+ * - `stats` holds the `limits` counters, or null when no limit is set.
+ * A copy handed back with `releaseTraversalState()` is reused by the next traversal, so
+ * `options` is not copied on every call; one started meanwhile (from a callback), or after
+ * a traversal that threw, gets a new copy.
+ */
+const withTraversalState = (options) => {
+  const stats = options.limits._enabled ? createStats() : null;
+  const spare = options._spareTraversal;
+  if (spare) {
+    options._spareTraversal = null;
+    spare._traversal.stats = stats;
+    return spare;
+  }
+  return { ...options, _spareTraversal: null, _traversal: { frames: [], ancestors: new Map(), stats } };
+};
+
+/**
+ * Hands `tracked`, returned by `withTraversalState(options)`, back once its traversal is over.
+ */
+const releaseTraversalState = (options, tracked) => {
+  const { frames, ancestors } = tracked._traversal;
+  frames.length = 0;
+  if (ancestors.size) ancestors.clear();
+  options._spareTraversal = tracked;
+};
+
+/**
+ * Records a size seen for `name` (e.g. `maxKeys`) and checks it against `limits[name]`.
+ * Returns true when the limit is exceeded; a `limit` event is emitted and, with
+ * `limits.action: 'reject'` in sanitize action, the request is rejected right away.
+ */
+const exceedsLimit = (name, size, path, options) => {
+  const { limits, onSanitize } = options;
+  const stats = options._traversal?.stats;
+  if (stats && size > stats[name]) stats[name] = size;
+  if (limits[name] === null || size <= limits[name]) return false;
+
+  const event = createEvent('limit', path, size, limits[name], name);
+  if (stats) stats.exceeded[name]++;
+  if (onSanitize) onSanitize(event);
+  if (limits.action === 'reject' && options.action === 'sanitize') throw rejectEvent(event, options);
+  return true;
+};
+
+/**
+ * Counts one more node against `limits.maxNodes`. Returns false once the budget is spent;
+ * only the first refused node is reported.
+ */
+const takeNode = (path, options) => {
+  const { limits } = options;
+  const stats = options._traversal?.stats;
+  if (!stats) return true;
+  if (limits.maxNodes === null || stats.nodes < limits.maxNodes) {
+    stats.nodes++;
+    return true;
+  }
+  if (!stats.exceeded.maxNodes) exceedsLimit('maxNodes', stats.nodes + 1, path, options);
+  return false;
+};
+
+/**
+ * Whether `str` contains zero-width or bidirectional control characters.
+ */
+const hasInvisibleChars = (str) => {
+  INVISIBLE_CHARS_RE.lastIndex = 0;
+  return INVISIBLE_CHARS_RE.test(str);
+};
+
+/**
+ * Applies `unicode` mode to a string: NFKC normalization (＄ → $, ｗｈｅｒｅ → where), then
+ * invisible characters are stripped, or left in place and reported with a `unicode` event.
+ */
+const normalizeUnicode = (str, options, path) => {
+  const { unicode, onSanitize } = options;
+  const result = unicode.normalize ? str.normalize('NFKC') : str;
+  if (!hasInvisibleChars(result)) return result;
+  if (unicode.invisible === 'strip') return result.replace(INVISIBLE_CHARS_RE, '');
+  if (onSanitize && path) onSanitize(createEvent('unicode', path, str, str));
+  return result;
+};
+
+/**
+ * Whether any of the compiled pattern `rules` (see `compilePatternRules()`) matches `str`.
+ */
+const testRules = (str, rules) => {
+  const { groups } = rules;
+  for (let i = 0; i < groups.length; i++) {
+    groups[i].regex.lastIndex = 0;
+    if (groups[i].regex.test(str)) return true;
+  }
+  return false;
+};
+
+/**
+ * Replaces every match of the compiled pattern `rules` in `str`. A rule's own `replaceWith`
+ * wins over the request-wide one; only then is the rule behind each match looked up.
+ */
+const applyRules = (str, rules, replaceWith) => {
+  const { groups } = rules;
+  let result = str;
+  for (let i = 0; i < groups.length; i++) {
+    const { regex, rules: groupRules, custom } = groups[i];
+    regex.lastIndex = 0;
+    if (!custom) {
+      result = result.replace(regex, replaceWith);
+      continue;
+    }
+    const input = result;
+    result = input.replace(regex, (...args) => {
+      const offset = typeof args[args.length - 1] === 'object' ? args[args.length - 3] : args[args.length - 2];
+      const rule = groupRules.find((candidate) => {
+        candidate.sticky.lastIndex = offset;
+        return candidate.sticky.test(input);
+      });
+      return rule && rule.replaceWith !== null ? rule.replaceWith : replaceWith;
+    });
+  }
+  return result;
+};
+
+/**
+ * The named pattern rules matching `str`, as `{ name, severity }` for events and logs.
+ */
+const namedRulesMatching = (str, rules) => {
+  const matched = [];
+  for (const rule of rules.named) {
+    if (rule.regex.test(str)) matched.push({ name: rule.name, severity: rule.severity });
+  }
+  return matched;
+};
+
+/**
+ * The named key or value pattern rules matching `str`, also once decoded (see `decoding`).
+ */
+const matchedRules = (str, options, isValue) => {
+  const rules = isValue ? options._valueRules : options._keyRules;
+  if (!rules.named.length) return [];
+  const matched = namedRulesMatching(str, rules);
+  return matched.length || !options.decoding.rounds
+    ? matched
+    : namedRulesMatching(decodeString(str, options.decoding), rules);
+};
+
+/**
+ * Whether a key or value gets sanitized: it matches the key or value patterns or, for
+ * values with `valueMode: 'operators'`, looks like an operator payload.
+ */
+const isDetected = (str, options, isValue) => {
+  if (!isValue) return testRules(str, options._keyRules);
+  return options.valueMode === 'operators' ? options._operatorPattern.test(str) : testRules(str, options._valueRules);
+};
+
+/**
+ * Whether `str` matches the key or value patterns, also once decoded (see `decoding`).
+ */
+const matchesPatterns = (str, options, isValue) => {
+  const { decoding } = options;
+  if (isDetected(str, options, isValue)) return true;
+  return decoding.rounds > 0 && isDetected(decodeString(str, decoding), options, isValue);
+};
+
+/**
+ * Whether the string value `str` matches one of the `preserve` formats.
+ */
+const isPreserved = (str, options) => {
+  const preserve = options._preserve;
+  for (let i = 0; i < preserve.length; i++) {
+    if (preserve[i](str)) return true;
+  }
+  return false;
+};
+
+/**
+ * Sanitizes a key, or a value when `isValue` is set: values use `valuePatterns`, are subject
+ * to `valueMode` and `stringOptions.maxLength`; keys use `keyPatterns`.
+ * When `path` is given, `truncate` and `value` events are emitted for it.
+ */
+const sanitizeString = (str, options, isValue = false, path = null) => {
+  if (!isString(str) || (isValue && isPreserved(str, options))) return str;
+
+  const { replaceWith, stringOptions, decoding, unicode, debug, onSanitize } = options;
+  const rules = isValue ? options._valueRules : options._keyRules;
   const original = str;
+  const emit = onSanitize && path;
+
+  if (unicode.enabled) str = normalizeUnicode(str, options, path);
 
-  _combinedPattern.lastIndex = 0;
-  let result = str.replace(_combinedPattern, replaceWith);
+  // Operators hidden behind percent-encoding or \u escapes are sanitized in decoded form
+  if (decoding.rounds) {
+    const decoded = decodeString(str, decoding);
+    if (decoded !== str && isDetected(decoded, options, isValue)) str = decoded;
+  }
+
+  // With `valueMode: 'operators'`, values that do not look like operator payloads are left as they are
+  const operatorsOnly = isValue && options.valueMode === 'operators';
+  let result = operatorsOnly && !options._operatorPattern.test(str) ? str : applyRules(str, rules, replaceWith);
+  const matched =
+    result !== str && rules.named.length && (emit || debug?.enabled) ? namedRulesMatching(str, rules) : [];
 
   if (stringOptions.trim) result = result.trim();
   if (stringOptions.lowercase) result = result.toLowerCase();
-  if (stringOptions.maxLength && isValue) result = result.slice(0, stringOptions.maxLength);
+  if (stringOptions.maxLength && isValue && result.length > stringOptions.maxLength) {
+    const truncated = result.slice(0, stringOptions.maxLength);
+    if (emit) onSanitize(createEvent('truncate', path, result, truncated));
+    result = truncated;
+  }
 
-  if (debug?.enabled && original !== result) {
-    log(debug, 'debug', 'STRING', 'Sanitized', { original, result });
+  if (original !== result) {
+    if (debug?.enabled) {
+      const names = matched.map((rule) => rule.name);
+      log(
+        debug,
+        'debug',
+        'STRING',
+        'Sanitized',
+        names.length ? { original, result, rules: names } : { original, result },
+      );
+      for (const rule of matched) {
+        log(debug, SEVERITY_LOG_LEVELS[rule.severity], 'STRING', `Rule '${rule.name}' (${rule.severity}) matched`);
+      }
+    }
+    if (emit) onSanitize(createEvent('value', path, original, result, undefined, matched));
   }
 
   return result;
 };
 
+/**
+ * Creates a traversal frame: the state of one object/array being sanitized (see `traverse()`).
+ * - `kind` is `'object'`, `'array'`, `'map'` or `'set'`; `original` is the value as received,
+ *   `source` what its members are read from, `result` what they are written to, and
+ *   `output` what the frame returns (a Set's elements are collected in an array first).
+ * - `key`, `value`, `valuePath` and `valueOptions` describe the member currently visited;
+ *   they stay set while the traversal descends into it, until it resumes with the result.
+ */
+const createFrame = (kind, original, source, result, output, keys, options, depth, path) => ({
+  kind,
+  array: kind === 'array' || kind === 'set',
+  original,
+  source,
+  result,
+  output,
+  keys,
+  length: keys ? keys.length : result.length,
+  index: 0,
+  options,
+  depth,
+  path,
+  dropped: false,
+  renamed: null,
+  key: null,
+  sanitizedKey: null,
+  value: undefined,
+  valuePath: null,
+  valueOptions: null,
+});
+
+/**
+ * Sanitizes the member `key` of `frame` (to be written under `sanitizedKey` in an object),
+ * unless it is an object/array to descend into: then it returns true, leaving the member
+ * in the frame for `traverse()`.
+ */
+const visitMember = (frame, key, sanitizedKey, val, valuePath, valueOptions) => {
+  const { options } = frame;
+  frame.key = key;
+  frame.sanitizedKey = sanitizedKey;
+  frame.value = val;
+  frame.valuePath = valuePath;
+  frame.valueOptions = valueOptions;
+
+  let sanitized;
+  if (isNonScalarAt(val, valuePath, options)) {
+    sanitized = handleNonScalar(val, valueOptions, valuePath);
+  } else if (!options.recursive && (isPlainObject(val) || isArray(val))) {
+    sanitized = val;
+  } else {
+    sanitized = visitValue(val, valueOptions, true, frame.depth, valuePath);
+    if (sanitized === DESCEND) return true;
+  }
+
+  if (frame.array) resumeArray(frame, sanitized);
+  else resumeObject(frame, sanitized);
+  return false;
+};
+
+/**
+ * Opens the frame for an array, or for a Set, whose elements are sanitized like an array's.
+ */
+const openArray = (original, options, depth, path) => {
+  const { limits } = options;
+  const set = original instanceof Set;
+  const arr = set ? [...original] : original;
+  let len = arr.length;
+  if (limits._enabled && exceedsLimit('maxArrayLength', len, path, options)) len = limits.maxArrayLength;
+  const result = new Array(len);
+  const output = set ? new Set() : result;
+  return createFrame(set ? 'set' : 'array', original, arr, result, output, null, options, depth, path);
+};
+
+/**
+ * Sanitizes array elements from `frame.index` on. Returns true when it stops at an
+ * object/array to descend into, false once every element is done.
+ */
+const stepArray = (frame) => {
+  const { source: arr, result, options, path } = frame;
+  const { limits } = options;
+
+  while (frame.index < frame.length) {
+    const i = frame.index++;
+    const itemPath = createPath(path, i);
+    if (limits._enabled && !takeNode(itemPath, options)) {
+      result.length = i;
+      break;
+    }
+    if (visitMember(frame, i, null, arr[i], itemPath, optionsForPath(itemPath, options))) return true;
+  }
+  return false;
+};
+
+/**
+ * Stores the sanitized value of the current element.
+ */
+const resumeArray = (frame, sanitized) => {
+  frame.result[frame.key] = sanitized;
+  if (sanitized === DROPPED) frame.dropped = true;
+};
+
+/**
+ * Returns what an array/Set frame produces: its `result` array, or the Set filled from it.
+ */
+const arrayOutput = (frame) => {
+  if (frame.kind === 'set') for (const item of frame.result) frame.output.add(item);
+  return frame.output;
+};
+
+/**
+ * Closes an array/Set frame, applying `filterNull` / `distinct`, and returns its output.
+ */
+const finishArray = (frame) => {
+  const { original, source: arr, result, options, path } = frame;
+  const { arrayOptions, onSanitize } = options;
+  if (!arrayOptions.filterNull && !arrayOptions.distinct && !frame.dropped) return arrayOutput(frame);
+
+  // Single pass so every dropped element can be reported with its original index. Compacts
+  // in place, since a preserved circular reference may already point at `result`.
+  let j = 0;
+  const seen = arrayOptions.distinct ? new Set() : null;
+
+  for (let i = 0; i < result.length; i++) {
+    const item = result[i];
+    if (item === DROPPED) continue;
+    let reason = null;
+
+    if (arrayOptions.filterNull && !item) reason = 'filterNull';
+    else if (seen && seen.has(item)) reason = 'distinct';
+
+    if (reason) {
+      if (onSanitize) onSanitize(createEvent('remove', createPath(path, i), arr[i], undefined, reason));
+      continue;
+    }
+
+    if (seen) seen.add(item);
+    result[j++] = item;
+  }
+
+  result.length = j;
+  return arrayOutput(frame);
+};
+
 /**
  * Sanitizes an array.
  */
-const sanitizeArray = (arr, options, depth) => {
+const sanitizeArray = (arr, options, depth = 0, path = null) => {
   if (!isArray(arr)) {
     throw new NoSQLSanitizeError('Input must be an array', 'type_error');
   }
+  if (options._traversal) return traverse(arr, options, depth, path);
+  const tracked = withTraversalState(options);
+  const result = traverse(arr, tracked, depth, path);
+  releaseTraversalState(options, tracked);
+  return result;
+};
 
-  const { recursive, arrayOptions } = options;
-  const len = arr.length;
-  const result = new Array(len);
+/**
+ * Writes `value` as an own data property (or Map entry). `__proto__` goes through
+ * defineProperty, so it can never replace the prototype of the output object.
+ */
+const assignKey = (target, key, value) => {
+  if (target instanceof Map) {
+    target.set(key, value);
+  } else if (key === '__proto__') {
+    Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+  } else {
+    target[key] = value;
+  }
+};
 
-  for (let i = 0; i < len; i++) {
-    const item = arr[i];
-    if (!recursive && (isPlainObject(item) || isArray(item))) {
-      result[i] = item;
-    } else {
-      result[i] = sanitizeValue(item, options, true, depth);
+/**
+ * Whether `target` (an object or Map) holds `key`.
+ */
+const hasKey = (target, key) => (target instanceof Map ? target.has(key) : Object.hasOwn(target, key));
+
+/**
+ * Reports a key dropped by a per-feature policy (`reason`). For a `reject` policy in
+ * `sanitize` action it throws straight away; in `reject`/`report` action the event is
+ * left for `handleRequest` to act on.
+ */
+const dropKey = (path, val, options, reason, reject) => {
+  const { onSanitize, action } = options;
+  const event = createEvent('remove', path, val, undefined, reason);
+  if (onSanitize) onSanitize(event);
+  if (reject && action === 'sanitize') throw rejectEvent(event, options);
+};
+
+/**
+ * Applies `prototypePollution.action` to a key that is (or sanitizes to) a prototype key.
+ * Returns the key to write under, or null when the key is dropped.
+ */
+const handlePrototypeKey = (key, val, options, path) => {
+  const { prototypePollution } = options;
+  if (prototypePollution.action === 'rename') return prototypePollution.renamePrefix + key;
+  dropKey(path, val, options, 'prototypePollution', prototypePollution.action === 'reject');
+  return null;
+};
+
+/**
+ * Applies `dotNotation.action` to a key containing `.`, which MongoDB would read as a nested path.
+ * Returns the key to write under, or null when the key is dropped.
+ */
+const handleDottedKey = (key, val, options, path) => {
+  const { dotNotation } = options;
+  if (dotNotation.action === 'strip') return key.replace(/\./g, '');
+  if (dotNotation.action === 'replace') return key.replace(/\./g, dotNotation.replaceWith);
+  dropKey(path, val, options, 'dotNotation', true);
+  return null;
+};
+
+// Marks a value removed by `scalarFields`, `maxDepthAction` or `typeHandlers`, so callers can skip it
+const DROPPED = Symbol('dropped');
+
+/**
+ * Whether `val` is an object/array sitting at a path listed in `scalarFields.paths`.
+ */
+const isNonScalarAt = (val, path, options) => {
+  const segments = options.scalarFields._segments;
+  if (!segments.length || val === null || typeof val !== 'object') return false;
+  // An Extended JSON wrapper stands for a single value
+  if (options.ejson.action !== 'off' && isPlainObject(val) && ejsonType(val, options.ejson._types)) return false;
+  return segments.some((pattern) => matchPathPattern(path, pattern));
+};
+
+/**
+ * `JSON.stringify(val)`, or undefined when `val` cannot be serialized: it is circular,
+ * holds a BigInt, or is nested too deeply.
+ */
+const serialize = (val) => {
+  try {
+    return JSON.stringify(val);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Applies `scalarFields.action` to an object/array found where a scalar is required.
+ * Returns the replacement value, or DROPPED when the value is removed. With `stringify`,
+ * a value that cannot be serialized is rejected instead.
+ */
+const handleNonScalar = (val, options, path) => {
+  const { scalarFields, onSanitize } = options;
+  const json = scalarFields.action === 'stringify' ? serialize(val) : undefined;
+  if (json !== undefined) {
+    const str = sanitizeString(json, options, true);
+    if (onSanitize) onSanitize(createEvent('coerce', path, val, str));
+    return str;
+  }
+  dropKey(path, val, options, 'scalarFields', scalarFields.action !== 'drop');
+  return DROPPED;
+};
+
+/**
+ * Whether `key` is a trusted operator under the object at `path`.
+ * Scoped operators match when the object's path equals or sits below one of their prefixes.
+ */
+const isAllowedOperator = (key, path, allowedOperators) => {
+  if (!allowedOperators.has(key)) return false;
+  const prefixes = allowedOperators.get(key);
+  if (!prefixes) return true;
+  const parent = formatPath(path);
+  return prefixes.some(
+    (prefix) => parent === prefix || parent.startsWith(prefix + '.') || parent.startsWith(prefix + '['),
+  );
+};
+
+/**
+ * Returns `key` plus the first free `suffix` + counter: "name" → "name_1".
+ * Keys still to come in `obj` count as taken, so a suffixed key never shadows them either.
+ */
+const suffixedKey = (key, suffix, acc, obj) => {
+  let n = 1;
+  while (hasKey(acc, `${key}${suffix}${n}`) || hasKey(obj, `${key}${suffix}${n}`)) n++;
+  return `${key}${suffix}${n}`;
+};
+
+/**
+ * Applies `keyCollision.action` when the key at `path` is about to be written under
+ * `targetKey`, which `acc` already holds. `renamed` maps keys in `acc` that were written
+ * under a new name to the path they came from. A renamed key always loses against one
+ * sent under that name, except with `keepFirst`, where the later key loses.
+ * Returns the key to write the incoming value under, or null when it is dropped.
+ */
+const handleKeyCollision = (acc, obj, targetKey, path, renamed, options) => {
+  const { keyCollision, onSanitize } = options;
+  const existing = renamed ? renamed.get(targetKey) : undefined;
+  const existingLoses = keyCollision.action !== 'keepFirst' && existing !== undefined && path.key === targetKey;
+  const loser = existingLoses ? existing : path;
+  const movedTo = keyCollision.action === 'suffix' ? suffixedKey(targetKey, keyCollision.suffix, acc, obj) : undefined;
+
+  const event = createEvent('collision', loser, loser.key, movedTo);
+  if (onSanitize) onSanitize(event);
+  if (keyCollision.action === 'reject' && options.action === 'sanitize') throw rejectEvent(event, options);
+
+  if (!existingLoses) return movedTo === undefined ? null : movedTo;
+
+  // The renamed entry gives way to the key that was sent under this name
+  renamed.delete(targetKey);
+  if (movedTo !== undefined) {
+    assignKey(acc, movedTo, acc instanceof Map ? acc.get(targetKey) : acc[targetKey]);
+    renamed.set(movedTo, existing);
+  }
+  return targetKey;
+};
+
+/**
+ * Returns why the key at `path` is removed by `deniedPaths` or `allowedPaths`, or null.
+ * An allowed path keeps the objects leading to it and its whole subtree. When the path
+ * has a `source`, the whitelist only restricts the request fields its patterns start with.
+ * Dotted keys are matched segment by segment, since an update writes them as nested fields.
+ */
+const fieldPathViolation = (keyPath, options) => {
+  const { _deniedPaths, _allowedPaths } = options;
+  const path = expandDottedPath(keyPath);
+
+  // A dotted key also writes below each of its own leading segments ("a.b.c" sets a field inside "a.b")
+  const written = keyPath.outputKey ?? keyPath.key;
+  const segments = path !== keyPath && isString(written) ? written.split('.').length : 1;
+  for (let node = path, i = 0; i < segments; i++, node = node.parent) {
+    if (_deniedPaths.some((pattern) => matchPathPattern(node, pattern))) return 'deniedPaths';
+  }
+
+  let restricted = false;
+  for (const pattern of _allowedPaths) {
+    if (path.source && pattern[0] !== path.source && typeof pattern[0] !== 'symbol') continue;
+    restricted = true;
+    if (matchPathPrefix(path, pattern)) return null;
+    for (let node = path.parent; node; node = node.parent) {
+      if (matchPathPattern(node, pattern)) return null;
     }
   }
+  return restricted ? 'allowedPaths' : null;
+};
 
-  if (!arrayOptions.filterNull && !arrayOptions.distinct) return result;
+/**
+ * Opens the frame for a plain object, a Map, or a class instance traversed through
+ * `typeHandlers` (its copy keeps the instance's prototype).
+ */
+const openObject = (obj, options, depth, path) => {
+  const { prototypePollution, limits } = options;
+  const map = obj instanceof Map;
+  let acc;
+  if (map) acc = new Map();
+  else if (isPlainObject(obj)) acc = prototypePollution.nullPrototype ? Object.create(null) : {};
+  else acc = Object.create(Object.getPrototypeOf(obj));
+  let keys = map ? [...obj.keys()] : Object.keys(obj);
+  if (limits._enabled && exceedsLimit('maxKeys', keys.length, path, options)) keys = keys.slice(0, limits.maxKeys);
+  return createFrame(map ? 'map' : 'object', obj, obj, acc, acc, keys, options, depth, path);
+};
 
-  let out = result;
-  if (arrayOptions.filterNull) out = out.filter(Boolean);
-  if (arrayOptions.distinct) out = [...new Set(out)];
-  return out;
+/**
+ * Whether `key` is in `deniedKeys` but keeps its email value (BUG-03 fix): the entry is
+ * written as is under `cleanedKey`, the key sanitized.
+ */
+const isDeniedEmail = (key, cleanedKey, val, options) => {
+  const { deniedKeys } = options;
+  if (!deniedKeys.exact.size && !deniedKeys.regex.length) return false;
+  return isEmail(val) && (matchKeyList(key, deniedKeys) || matchKeyList(cleanedKey, deniedKeys));
 };
 
 /**
- * Sanitizes an object. Uses for..of Object.keys() — no tuple allocation.
+ * Runs the key policies — key lists, dotted and prototype keys, path patterns, key
+ * `removeMatches` and `removeEmpty` — on `key` of the object at `path`, whose value
+ * `val` sits at `valuePath`. `cleanedKey` is `key` after `sanitizeString()`.
+ * Returns the key to write the value under, or null when the entry is removed.
  */
-const sanitizeObject = (obj, options, depth) => {
-  if (!isPlainObject(obj)) {
-    throw new NoSQLSanitizeError('Input must be an object', 'type_error');
+const resolveKey = (key, cleanedKey, val, path, valuePath, options) => {
+  const {
+    removeEmpty,
+    allowedKeys,
+    deniedKeys,
+    allowedOperators,
+    removeMatches,
+    prototypePollution,
+    dotNotation,
+    _deniedPaths,
+    _allowedPaths,
+    unicode,
+    debug,
+    onSanitize,
+  } = options;
+  const protoKeys = prototypePollution.keys;
+
+  if (
+    (deniedKeys.exact.size || deniedKeys.regex.length) &&
+    (matchKeyList(key, deniedKeys) || matchKeyList(cleanedKey, deniedKeys))
+  ) {
+    log(debug, 'debug', 'OBJECT', `Key '${key}' denied`);
+    if (onSanitize) onSanitize(createEvent('remove', valuePath, val, undefined, 'deniedKeys'));
+    return null;
+  }
+
+  // Allowed key filtresi
+  if (
+    (allowedKeys.exact.size || allowedKeys.regex.length) &&
+    !matchKeyList(key, allowedKeys) &&
+    !matchKeyList(cleanedKey, allowedKeys)
+  ) {
+    log(debug, 'debug', 'OBJECT', `Key '${key}' not in allowedKeys`);
+    if (onSanitize) onSanitize(createEvent('remove', valuePath, val, undefined, 'allowedKeys'));
+    return null;
   }
 
-  const { removeEmpty, allowedKeys, deniedKeys, removeMatches, _combinedPattern, debug, recursive, onSanitize } =
-    options;
+  // Trusted operators keep their key as-is; their values are still sanitized
+  const trustedOperator = allowedOperators.size > 0 && isAllowedOperator(key, path, allowedOperators);
+  let sanitizedKey = trustedOperator ? key : cleanedKey;
 
-  const acc = {};
-  const keys = Object.keys(obj);
+  // Keys are sanitized without a path (they get `key` events), so invisible characters are flagged here
+  if (unicode.enabled && unicode.invisible === 'flag' && onSanitize && hasInvisibleChars(key)) {
+    onSanitize(createEvent('unicode', valuePath, key, key));
+  }
 
-  for (let i = 0; i < keys.length; i++) {
-    const key = keys[i];
-    const val = obj[key];
+  // Dotted keys — before the prototype check, since "__.proto__" strips to "__proto__"
+  if (dotNotation.action !== 'keep' && sanitizedKey.includes('.') && !dotNotation.allow.has(key)) {
+    log(debug, 'debug', 'OBJECT', `Dotted key '${key}' found`);
+    sanitizedKey = handleDottedKey(sanitizedKey, val, options, valuePath);
+    if (sanitizedKey === null) return null;
+  }
+
+  // Prototype keys — checked after sanitizing too, since "$__proto__" becomes "__proto__"
+  if (protoKeys.size && (protoKeys.has(key) || (sanitizedKey !== key && protoKeys.has(sanitizedKey)))) {
+    log(debug, 'warn', 'OBJECT', `Prototype key '${key}' found`);
+    sanitizedKey = handlePrototypeKey(sanitizedKey, val, options, valuePath);
+    if (sanitizedKey === null) return null;
+  }
+
+  // Path patterns match the key as it will be written, so "$role" cannot slip past "body.role"
+  if (sanitizedKey !== key) valuePath.outputKey = sanitizedKey;
+  if (_deniedPaths.length || _allowedPaths.length) {
+    const reason = fieldPathViolation(valuePath, options);
+    if (reason) {
+      log(debug, 'debug', 'OBJECT', `Key '${key}' removed by ${reason}`);
+      if (onSanitize) onSanitize(createEvent('remove', valuePath, val, undefined, reason));
+      return null;
+    }
+  }
+
+  // removeMatches — key pattern match
+  if (removeMatches && !trustedOperator && matchesPatterns(key, options, false)) {
+    if (onSanitize) {
+      const rules = matchedRules(key, options, false);
+      onSanitize(createEvent('remove', valuePath, val, undefined, 'removeMatches', rules));
+    }
+    return null;
+  }
+
+  if (removeEmpty && !sanitizedKey) {
+    if (onSanitize) onSanitize(createEvent('remove', valuePath, val, undefined, 'removeEmpty'));
+    return null;
+  }
+  return sanitizedKey;
+};
+
+/**
+ * Sanitizes object keys from `frame.index` on. Returns true when it stops at a value
+ * that is an object/array to descend into, false once every key is done.
+ */
+const stepObject = (frame) => {
+  const { source: obj, keys, options, path } = frame;
+  const map = frame.kind === 'map';
+  const { limits, onSanitize } = options;
+
+  while (frame.index < frame.length) {
+    const key = keys[frame.index++];
+    const val = map ? obj.get(key) : obj[key];
+    const valuePath = createPath(path, key);
+
+    if (limits._enabled && !takeNode(valuePath, options)) break;
+
+    // Map keys that are not strings cannot carry operators; only their values are sanitized
+    if (!isString(key)) {
+      if (visitMember(frame, key, key, val, valuePath, optionsForPath(valuePath, options))) return true;
+      continue;
+    }
+
+    // Payload limits — over-long keys are dropped, and nothing is visited past maxNodes
+    if (limits._enabled && exceedsLimit('maxKeyLength', key.length, valuePath, options)) continue;
+
+    // Key lists match the key as written too, so "$role" or "ro\u200ble" cannot pass for "role"
+    const cleanedKey = sanitizeString(key, options);
 
     // Denied key — email value korunur (BUG-03 fix)
-    if (deniedKeys.size && deniedKeys.has(key)) {
-      if (isEmail(val)) {
-        acc[sanitizeString(key, options)] = val;
-        continue;
+    if (isDeniedEmail(key, cleanedKey, val, options)) {
+      if (cleanedKey !== key) {
+        (frame.renamed ||= new Map()).set(cleanedKey, valuePath);
+        if (onSanitize) {
+          onSanitize(createEvent('key', valuePath, key, cleanedKey, undefined, matchedRules(key, options, false)));
+        }
       }
-      log(debug, 'debug', 'OBJECT', `Key '${key}' denied`);
+      assignKey(frame.result, cleanedKey, val);
       continue;
     }
 
-    // Allowed key filtresi
-    if (allowedKeys.size && !allowedKeys.has(key)) {
-      log(debug, 'debug', 'OBJECT', `Key '${key}' not in allowedKeys`);
-      continue;
+    const sanitizedKey = resolveKey(key, cleanedKey, val, path, valuePath, options);
+    if (sanitizedKey === null) continue;
+
+    // Value-level checks use the options in effect at the value's path (see `rules`)
+    const valueOptions = optionsForPath(valuePath, options);
+
+    // removeMatches — value pattern match
+    if (valueOptions.removeMatches && isString(val)) {
+      if (matchesPatterns(val, valueOptions, true)) {
+        if (onSanitize) {
+          const rules = matchedRules(val, valueOptions, true);
+          onSanitize(createEvent('remove', valuePath, val, undefined, 'removeMatches', rules));
+        }
+        continue;
+      }
     }
 
-    const sanitizedKey = sanitizeString(key, options);
+    if (visitMember(frame, key, sanitizedKey, val, valuePath, valueOptions)) return true;
+  }
+  return false;
+};
+
+/**
+ * Writes the sanitized value of the current key under its sanitized name.
+ */
+const resumeObject = (frame, sanitizedValue) => {
+  if (sanitizedValue === DROPPED) return;
+  const { source: obj, result: acc, key, value: val, valuePath, valueOptions, options } = frame;
+  const { debug, onSanitize } = options;
+
+  if (valueOptions.removeEmpty && !sanitizedValue) {
+    if (onSanitize) onSanitize(createEvent('remove', valuePath, val, undefined, 'removeEmpty'));
+    return;
+  }
 
-    // removeMatches — tek _combinedPattern.test()
-    if (removeMatches) {
-      _combinedPattern.lastIndex = 0;
-      if (_combinedPattern.test(key)) continue;
+  // Key collisions — "$name" sanitizes to "name", which may already be taken. Keys are unique,
+  // so there is nothing to check until a key of this object has been renamed
+  let sanitizedKey = frame.sanitizedKey;
+  if ((frame.renamed || sanitizedKey !== key) && hasKey(acc, sanitizedKey)) {
+    log(debug, 'warn', 'OBJECT', `Key '${key}' collides with '${sanitizedKey}'`);
+    sanitizedKey = handleKeyCollision(acc, obj, sanitizedKey, valuePath, frame.renamed, options);
+    if (sanitizedKey === null) return;
+  }
+
+  if (sanitizedKey !== key) {
+    (frame.renamed ||= new Map()).set(sanitizedKey, valuePath);
+    if (onSanitize) {
+      onSanitize(createEvent('key', valuePath, key, sanitizedKey, undefined, matchedRules(key, options, false)));
     }
+  }
 
-    if (removeEmpty && !sanitizedKey) continue;
+  assignKey(acc, sanitizedKey, sanitizedValue);
+};
 
-    // removeMatches — value pattern match
-    if (removeMatches && isString(val)) {
-      _combinedPattern.lastIndex = 0;
-      if (_combinedPattern.test(val)) continue;
+/**
+ * Closes an object frame and returns the sanitized object.
+ */
+const finishObject = (frame) => frame.output;
+
+/**
+ * Sanitizes an object.
+ */
+const sanitizeObject = (obj, options, depth = 0, path = null) => {
+  if (!isPlainObject(obj)) {
+    throw new NoSQLSanitizeError('Input must be an object', 'type_error');
+  }
+  if (options._traversal) return traverse(obj, options, depth, path);
+  const tracked = withTraversalState(options);
+  const result = traverse(obj, tracked, depth, path);
+  releaseTraversalState(options, tracked);
+  return result;
+};
+
+/**
+ * Sanitizes the strings of a subtree, keeping its structure as it is. Used past `maxDepth`
+ * with `maxDepthAction: 'stringsOnly'`. Iterative like `traverse()`: each object/array is
+ * copied when first reached, and an exit entry drops it from the ancestors once its members
+ * are done. Keys go through the same policies as in `traverse()` (see `resolveKey()`), and
+ * payload limits, `keyCollision` and `scalarFields` apply as they do there.
+ */
+const sanitizeStringsOnly = (value, options, path) => {
+  if (isString(value)) return sanitizeString(value, options, true, path);
+  if (!isArray(value) && !isPlainObject(value)) return value;
+
+  const traversal = options._traversal;
+  const { ancestors } = traversal;
+  const { nullPrototype } = options.prototypePollution;
+  const { limits, onSanitize } = options;
+  const root = { result: undefined };
+  // Entries are [value, path, target, key, source, renamed], or [value] to leave `value`;
+  // popped in document order. `source` and `renamed` are only set for object members.
+  const stack = [[value, path, root, 'result']];
+
+  while (stack.length) {
+    const [current, currentPath, target, key, source, renamed] = stack.pop();
+    if (!target) {
+      ancestors.delete(current);
+      continue;
     }
+    if (limits._enabled && target !== root) {
+      // Nothing is kept past maxNodes; arrays end at the first refused element
+      if (!takeNode(currentPath, options)) {
+        if (isArray(target) && key < target.length) target.length = key;
+        continue;
+      }
+      if (source && exceedsLimit('maxKeyLength', key.length, currentPath, options)) continue;
+    }
+    let outputKey = key;
+    if (source) {
+      const cleanedKey = sanitizeString(key, options);
+      if (isDeniedEmail(key, cleanedKey, current, options)) {
+        if (onSanitize && cleanedKey !== key) {
+          onSanitize(createEvent('key', currentPath, key, cleanedKey, undefined, matchedRules(key, options, false)));
+        }
+        assignKey(target, cleanedKey, current);
+        continue;
+      }
+      outputKey = resolveKey(key, cleanedKey, current, currentPath.parent, currentPath, options);
+      if (outputKey === null) continue;
+      if (hasKey(target, outputKey)) {
+        outputKey = handleKeyCollision(target, source, outputKey, currentPath, renamed, options);
+        if (outputKey === null) continue;
+      }
+      if (outputKey !== key) {
+        currentPath.outputKey = outputKey;
+        renamed.set(outputKey, currentPath);
+        if (onSanitize) {
+          onSanitize(createEvent('key', currentPath, key, outputKey, undefined, matchedRules(key, options, false)));
+        }
+      }
+    }
+    if (isString(current)) {
+      let str = current;
+      if (limits._enabled && exceedsLimit('maxStringLength', str.length, currentPath, options)) {
+        str = str.slice(0, limits.maxStringLength);
+      }
+      assignKey(target, outputKey, sanitizeString(str, options, true, currentPath));
+    } else if (!isArray(current) && !isPlainObject(current)) {
+      assignKey(target, outputKey, current);
+    } else if (isNonScalarAt(current, currentPath, options)) {
+      const replaced = handleNonScalar(current, options, currentPath);
+      if (replaced !== DROPPED) assignKey(target, outputKey, replaced);
+    } else if (findAncestor(current, traversal) !== undefined) {
+      assignKey(target, outputKey, handleCircular(current, options, currentPath));
+    } else {
+      const array = isArray(current);
+      let keys = array ? null : Object.keys(current);
+      let length = array ? current.length : keys.length;
+      if (limits._enabled && exceedsLimit(array ? 'maxArrayLength' : 'maxKeys', length, currentPath, options)) {
+        length = array ? limits.maxArrayLength : limits.maxKeys;
+        if (!array) keys = keys.slice(0, length);
+      }
+      const copy = array ? new Array(length) : nullPrototype ? Object.create(null) : {};
+      assignKey(target, outputKey, copy);
+      ancestors.set(current, copy);
+      stack.push([current]);
+      const [source, renamedKeys] = array ? [] : [current, new Map()];
+      for (let i = length - 1; i >= 0; i--) {
+        const member = array ? i : keys[i];
+        stack.push([current[member], createPath(currentPath, member), copy, member, source, renamedKeys]);
+      }
+    }
+  }
+  return root.result;
+};
 
-    const sanitizedValue =
-      !recursive && (isPlainObject(val) || isArray(val)) ? val : sanitizeValue(val, options, true, depth);
+/**
+ * Applies `circular.action` to a reference back to an object/array that is still being
+ * sanitized: throws, returns `circular.marker`, or returns that ancestor's output so
+ * the cycle is kept.
+ */
+const handleCircular = (value, options, path) => {
+  const { circular, onSanitize } = options;
+  if (circular.action === 'throw') {
+    throw new NoSQLSanitizeError(`Circular reference at ${formatPath(path)}`, 'circular');
+  }
+  if (circular.action === 'preserve') return findAncestor(value, options._traversal);
+
+  if (onSanitize) onSanitize(createEvent('circular', path, value, circular.marker));
+  return circular.marker;
+};
 
-    if (removeEmpty && !sanitizedValue) continue;
+/**
+ * Applies `maxDepthAction` to an object/array nested deeper than `maxDepth`.
+ * Returns the replacement value, or DROPPED when the subtree is truncated.
+ */
+const handleMaxDepth = (value, options, path) => {
+  const { maxDepthAction, onSanitize } = options;
+  let result = DROPPED; // 'truncate', and 'reject' outside sanitize action
+  if (maxDepthAction === 'passThrough') result = value;
+  else if (maxDepthAction === 'null') result = null;
+  else if (maxDepthAction === 'stringsOnly') result = sanitizeStringsOnly(value, options, path);
 
-    // onSanitize callback
-    if (onSanitize && isString(val) && val !== sanitizedValue) {
-      onSanitize({ key, originalValue: val, sanitizedValue, path: key });
+  const event = createEvent('maxDepth', path, value, result === DROPPED ? undefined : result);
+  if (onSanitize) onSanitize(event);
+  if (maxDepthAction === 'reject' && options.action === 'sanitize') throw rejectEvent(event, options);
+  return result;
+};
+
+// Returned by visitValue() for an object/array whose members still have to be sanitized
+const DESCEND = Symbol('descend');
+
+/**
+ * Whether the string at `path` may hold a JSON document (see `jsonStrings.paths`).
+ */
+const isJsonStringAt = (path, options) =>
+  options.jsonStrings._segments.some((pattern) => matchPathPattern(path, pattern));
+
+/**
+ * Sanitizes `parsed`, the document the JSON string `value` at `path` parsed to, as if it had
+ * been sent in its place: same options, its members below `path`. Returns it re-serialized,
+ * or as is with `jsonStrings.output: 'object'`. A document sanitizing left unchanged keeps
+ * `value` as written, so big integers and formatting survive. A document nested too deeply
+ * to re-serialize is dropped, and `value` sanitized as plain text instead.
+ */
+const sanitizeJsonString = (value, parsed, options, depth, path) => {
+  let sanitized = visitValue(parsed, options, true, depth, path);
+  if (sanitized === DESCEND) sanitized = traverse(parsed, options, depth + 1, path);
+  if (sanitized === DROPPED || options.jsonStrings.output === 'object') return sanitized;
+  let json;
+  try {
+    json = JSON.stringify(sanitized);
+  } catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+    return sanitizeString(value, options, true, path);
+  }
+  return json === serialize(parsed) ? value : json;
+};
+
+/**
+ * Applies `ejson.action` to the Extended JSON wrapper `value` of the given `type`:
+ * returns it unchanged (`keep`, or no converter for it), or converted.
+ */
+const handleEjson = (value, type, options, path) => {
+  const { ejson, onSanitize } = options;
+  const convert = ejson.action === 'convert' ? ejson._converters[type] : undefined;
+  if (!convert) return value;
+
+  const converted = convert(value[type]);
+  if (onSanitize) onSanitize(createEvent('ejson', path, value, converted));
+  return converted;
+};
+
+/**
+ * Returns the first of `typeHandlers`, then of the built-in handlers, that matches `value`.
+ */
+const typeHandlerFor = (value, options) =>
+  options._typeHandlers.find((handler) => (handler.type ? value instanceof handler.type : handler.test(value)));
+
+/**
+ * Sanitizes `value` as far as it can without descending into it: primitives and strings,
+ * values handled by their type handler, and objects/arrays past `maxDepth` or referenced
+ * circularly. Returns DESCEND for any other object/array, or value traversed by its handler.
+ */
+const visitValue = (value, options, isValue, depth, path) => {
+  if (value == null || isPrimitive(value) || isDate(value)) return value;
+
+  // Strings are always sanitized regardless of depth, cut to maxStringLength first
+  if (isString(value)) {
+    const { limits } = options;
+    if (limits._enabled && exceedsLimit('maxStringLength', value.length, path, options)) {
+      value = value.slice(0, limits.maxStringLength);
+    }
+    if (path && options.jsonStrings._segments.length) {
+      const parsed = isJsonStringAt(path, options) ? parseJsonString(value) : undefined;
+      if (parsed !== undefined) return sanitizeJsonString(value, parsed, options, depth, path);
+    }
+    return sanitizeString(value, options, isValue, path);
+  }
+
+  // Extended JSON wrappers such as { "$oid": "..." } are kept whole, their `$` key included
+  if (options.ejson.action !== 'off' && isPlainObject(value)) {
+    const type = ejsonType(value, options.ejson._types);
+    if (type) return handleEjson(value, type, options, path);
+  }
+
+  // Other types go by their type handler (see `typeHandlers`); unknown types are left as-is
+  if (!isArray(value) && !isPlainObject(value)) {
+    const handler = typeHandlerFor(value, options);
+    if (!handler || handler.action === 'preserve') return value;
+    if (handler.action === 'reject') {
+      log(options.debug, 'debug', 'VALUE', `${handler.name} value rejected`);
+      dropKey(path, value, options, 'typeHandlers', true);
+      return DROPPED;
     }
+  }
 
-    acc[sanitizedKey] = sanitizedValue;
+  // maxDepth guard — stop descending into nested objects/arrays, see `maxDepthAction`
+  if (options.maxDepth !== null && depth >= options.maxDepth) {
+    return path ? handleMaxDepth(value, options, path) : value;
   }
 
-  return acc;
+  // A reference back to an object/array still being sanitized is a cycle
+  if (findAncestor(value, options._traversal) !== undefined) return handleCircular(value, options, path);
+  return DESCEND;
+};
+
+/**
+ * Opens the frame for an object/array, or a Map/Set/class instance traversed by its handler.
+ */
+const openFrame = (value, options, depth, path) =>
+  isArray(value) || value instanceof Set
+    ? openArray(value, options, depth, path)
+    : openObject(value, options, depth, path);
+
+// Open frames up to this many deep are found by scanning `frames`; deeper ones go in `ancestors`
+const SHALLOW_FRAMES = 16;
+
+/**
+ * The output of the object/array `value` when it is still being sanitized, else undefined.
+ * Scanning the few outer frames is cheaper than hashing every object into a Map, which
+ * is only paid for deeply nested input.
+ */
+const findAncestor = (value, traversal) => {
+  const { frames, ancestors } = traversal;
+  const shallow = Math.min(frames.length, SHALLOW_FRAMES);
+  for (let i = 0; i < shallow; i++) {
+    if (frames[i].original === value) return frames[i].output;
+  }
+  return ancestors.size ? ancestors.get(value) : undefined;
+};
+
+/**
+ * Sanitizes an object/array and everything below it with an explicit stack of frames
+ * instead of recursion, so deeply nested input is bounded by `maxDepth` / `limits`
+ * rather than by the call stack. The innermost frame runs until one of its members
+ * needs descending into; once that member's frame is done, its result is handed back.
+ * The stack is the traversal's `frames`, shared with any traversal nested in this one.
+ */
+const traverse = (value, options, depth, path) => {
+  const { frames, ancestors } = options._traversal;
+  const base = frames.length;
+  const enter = (frame) => {
+    if (frames.push(frame) > SHALLOW_FRAMES) ancestors.set(frame.original, frame.output);
+  };
+  enter(openFrame(value, options, depth, path));
+
+  for (;;) {
+    const frame = frames[frames.length - 1];
+    if (frame.array ? stepArray(frame) : stepObject(frame)) {
+      enter(openFrame(frame.value, frame.valueOptions, frame.depth + 1, frame.valuePath));
+      continue;
+    }
+
+    if (frames.length > SHALLOW_FRAMES) ancestors.delete(frame.original);
+    frames.pop();
+    const result = frame.array ? finishArray(frame) : finishObject(frame);
+    if (frames.length === base) return result;
+
+    const parent = frames[frames.length - 1];
+    if (parent.array) resumeArray(parent, result);
+    else resumeObject(parent, result);
+  }
 };
 
 /**
@@ -126,20 +1189,34 @@ const sanitizeObject = (obj, options, depth) => {
  * @param {*} value
  * @param {Object} options
  * @param {boolean} isValue - true if this is a value (not a key)
- * @param {number} depth - current recursion depth
+ * @param {number} depth - current nesting depth
+ * @param {Object|null} path - location of `value`, see `createPath()`
  */
-const sanitizeValue = (value, options, isValue = false, depth = 0) => {
+const sanitizeValue = (value, options, isValue = false, depth = 0, path = null) => {
   if (value == null || isPrimitive(value) || isDate(value)) return value;
 
-  // Strings are always sanitized regardless of depth
-  if (isString(value)) return sanitizeString(value, options, isValue);
+  const { limits } = options;
 
-  // maxDepth guard — stop recursing into nested objects/arrays
-  if (options.maxDepth !== null && depth >= options.maxDepth) return value;
+  // A standalone call owns its traversal state; handleRequest shares one across fields
+  if (!options._traversal && (limits._enabled || !isString(value))) {
+    const tracked = withTraversalState(options);
+    const result = sanitizeValue(value, tracked, isValue, depth, path);
+    if (limits.onStats) limits.onStats(tracked._traversal.stats);
+    releaseTraversalState(options, tracked);
+    return result;
+  }
 
-  if (isArray(value)) return sanitizeArray(value, options, depth + 1);
-  if (isPlainObject(value)) return sanitizeObject(value, options, depth + 1);
-  return value;
+  const result = visitValue(value, options, isValue, depth, path);
+  if (result === DESCEND) return traverse(value, options, depth + 1, path);
+  return result === DROPPED ? undefined : result;
 };
 
-module.exports = { sanitizeString, sanitizeArray, sanitizeObject, sanitizeValue };
+module.exports = {
+  sanitizeString,
+  sanitizeArray,
+  sanitizeObject,
+  sanitizeValue,
+  optionsForPath,
+  withTraversalState,
+  releaseTraversalState,
+};
@@ -16,6 +16,13 @@ const {
   isEmail,
   isPlainObject,
   isPrimitive,
+  createPath,
+  pathSegments,
+  formatPath,
+  formatPointer,
+  compilePathPattern,
+  matchPathPattern,
+  matchPathPrefix,
 } = require('../src');
 
 const opts = (overrides = {}) => resolveOptions(overrides);
@@ -177,6 +184,53 @@ test('sanitizeObject — deniedKeys filters', () => {
   assert.deepStrictEqual(result, { username: 'admin', email: 'test@example.com', role: 'super' });
 });
 
+test('sanitizeObject — deniedKeys accepts globs and RegExps', () => {
+  const o = opts({ deniedKeys: ['*password*', 'api?key', /^\$where$/i] });
+  const result = sanitizeObject(
+    { userPassword: 'x', password: 'y', apiKey: 'z', api_key: 'k', $WHERE: '1', name: 'n', apikey: 'a' },
+    o,
+  );
+  // globs and RegExps stay case-sensitive unless their flags or keyMatching say otherwise
+  assert.deepStrictEqual(result, { userPassword: 'x', apiKey: 'z', name: 'n', apikey: 'a' });
+});
+
+test('sanitizeObject — allowedKeys accepts globs', () => {
+  const o = opts({ allowedKeys: ['name', 'address*'] });
+  assert.deepStrictEqual(sanitizeObject({ name: 'a', addressLine1: 'b', role: 'c' }, o), {
+    name: 'a',
+    addressLine1: 'b',
+  });
+});
+
+test('sanitizeObject — keyMatching compares case-insensitively or NFKC-normalized', () => {
+  const input = { PASSWORD: 'a', Ｐａｓｓｗｏｒｄ: 'b', '＄ｗｈｅｒｅ': 'c', userPassword: 'd', name: 'e' };
+  const deniedKeys = ['password', '$where', '*PASSWORD'];
+
+  assert.deepStrictEqual(Object.keys(sanitizeObject(input, opts({ deniedKeys }))), [
+    'Ｐａｓｓｗｏｒｄ',
+    '＄ｗｈｅｒｅ',
+    'userPassword',
+    'name',
+  ]);
+  assert.deepStrictEqual(Object.keys(sanitizeObject(input, opts({ deniedKeys, keyMatching: 'caseInsensitive' }))), [
+    'Ｐａｓｓｗｏｒｄ',
+    '＄ｗｈｅｒｅ',
+    'name',
+  ]);
+  assert.deepStrictEqual(Object.keys(sanitizeObject(input, opts({ deniedKeys, keyMatching: 'normalized' }))), ['name']);
+});
+
+test('resolveOptions — validates allowedKeys, deniedKeys and keyMatching', () => {
+  assert.throws(() => resolveOptions({ deniedKeys: [1] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ keyMatching: 'fuzzy' }), NoSQLSanitizeError);
+  const o = resolveOptions({ deniedKeys: ['role', 'Secret*', /^x$/], keyMatching: 'caseInsensitive' });
+  assert.deepStrictEqual([...o.deniedKeys.exact], ['role']);
+  assert.deepStrictEqual(
+    o.deniedKeys.regex.map((re) => re.toString()),
+    ['/^secret.*$/i', '/^x$/i'],
+  );
+});
+
 test('sanitizeObject — BUG-03 fix: deniedKey with email value preserved', () => {
   const o = opts({ deniedKeys: ['contact'] });
   const result = sanitizeObject({ contact: 'user@example.com', name: '$admin' }, o);
@@ -209,17 +263,496 @@ test('sanitizeObject — throws on non-object', () => {
   assert.throws(() => sanitizeObject('not-object', opts()), NoSQLSanitizeError);
 });
 
+test('prototypePollution — drops __proto__, constructor and prototype by default', () => {
+  const input = JSON.parse('{"__proto__":{"isAdmin":true},"constructor":{"prototype":{"x":1}},"name":"ok"}');
+  const result = sanitizeObject(input, opts());
+  assert.deepStrictEqual(result, { name: 'ok' });
+  assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+  assert.strictEqual({}.isAdmin, undefined);
+});
+
+test('prototypePollution — catches keys that only become prototype keys after sanitization', () => {
+  const calls = [];
+  const o = opts({ onSanitize: (e) => calls.push(e) });
+  const result = sanitizeObject(JSON.parse('{"$__proto__":{"isAdmin":true},"a":{"prototype":1}}'), o);
+  assert.deepStrictEqual(result, { a: {} });
+  assert.strictEqual(result.isAdmin, undefined);
+  assert.deepStrictEqual(
+    calls.map(({ type, path, reason }) => ({ type, path, reason })),
+    [
+      { type: 'remove', path: '$__proto__', reason: 'prototypePollution' },
+      { type: 'remove', path: 'a.prototype', reason: 'prototypePollution' },
+    ],
+  );
+});
+
+test('prototypePollution — rename keeps the value under a prefixed key', () => {
+  const o = opts({ prototypePollution: { action: 'rename' } });
+  const result = sanitizeObject(JSON.parse('{"__proto__":{"isAdmin":true},"constructor":"x"}'), o);
+  assert.deepStrictEqual(result, { ___proto__: { isAdmin: true }, _constructor: 'x' });
+  assert.strictEqual(result.isAdmin, undefined);
+});
+
+test('prototypePollution — reject throws a rejected error', () => {
+  const o = opts({ prototypePollution: { action: 'reject' } });
+  assert.throws(
+    () => handleRequest({ body: JSON.parse('{"user":{"__proto__":{"isAdmin":true}}}') }, o),
+    (err) => err instanceof NoSQLSanitizeError && err.type === 'rejected' && err.paths[0] === 'body.user.__proto__',
+  );
+});
+
+test('prototypePollution — reject is reported, not thrown, in report action', () => {
+  const o = opts({ action: 'report', prototypePollution: { action: 'reject' } });
+  const events = handleRequest({ body: JSON.parse('{"__proto__":{}}') }, o);
+  assert.strictEqual(events[0].reason, 'prototypePollution');
+});
+
+test('prototypePollution — allowed __proto__ keys stay own properties', () => {
+  const o = opts({ prototypePollution: { keys: [] } });
+  const result = sanitizeObject(JSON.parse('{"__proto__":{"isAdmin":true}}'), o);
+  assert.ok(Object.hasOwn(result, '__proto__'));
+  assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+  assert.strictEqual(result.isAdmin, undefined);
+});
+
+test('prototypePollution — nullPrototype builds objects without a prototype', () => {
+  const o = opts({ prototypePollution: { nullPrototype: true } });
+  const result = sanitizeValue({ a: { b: '$c' } }, o);
+  assert.strictEqual(Object.getPrototypeOf(result), null);
+  assert.strictEqual(Object.getPrototypeOf(result.a), null);
+  assert.strictEqual(result.a.b, 'c');
+});
+
+test('resolveOptions — validates prototypePollution', () => {
+  assert.throws(() => resolveOptions({ prototypePollution: 'drop' }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ prototypePollution: { action: 'ignore' } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ prototypePollution: { renamePrefix: '' } }), NoSQLSanitizeError);
+  const o = resolveOptions({ prototypePollution: { keys: ['__proto__'] } });
+  assert.deepStrictEqual([...o.prototypePollution.keys], ['__proto__']);
+  assert.strictEqual(o.prototypePollution.action, 'drop');
+});
+
+test('dotNotation — keeps dotted keys by default', () => {
+  assert.deepStrictEqual(sanitizeObject({ 'profile.role': 'admin' }, opts()), { 'profile.role': 'admin' });
+});
+
+test('dotNotation — strip and replace', () => {
+  const strip = opts({ dotNotation: { action: 'strip' } });
+  assert.deepStrictEqual(sanitizeObject({ 'profile.role': 'admin' }, strip), { profilerole: 'admin' });
+
+  const calls = [];
+  const replace = opts({ replaceWith: '', dotNotation: { action: 'replace' }, onSanitize: (e) => calls.push(e) });
+  assert.deepStrictEqual(sanitizeObject({ 'a.b.c': 1, '$x.y': 2 }, replace), { a_b_c: 1, x_y: 2 });
+  assert.deepStrictEqual(
+    calls.map(({ type, originalValue, sanitizedValue }) => ({ type, originalValue, sanitizedValue })),
+    [
+      { type: 'key', originalValue: 'a.b.c', sanitizedValue: 'a_b_c' },
+      { type: 'key', originalValue: '$x.y', sanitizedValue: 'x_y' },
+    ],
+  );
+});
+
+test('dotNotation — reject throws, allow exempts keys', () => {
+  const o = opts({ dotNotation: { action: 'reject', allow: ['sort.field'] } });
+  assert.deepStrictEqual(sanitizeObject({ 'sort.field': 'name' }, o), { 'sort.field': 'name' });
+  assert.throws(
+    () => handleRequest({ body: { 'profile.role': 'admin' } }, o),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body["profile.role"]',
+  );
+});
+
+test('dotNotation — stripping cannot produce a prototype key', () => {
+  const o = opts({ dotNotation: { action: 'strip' } });
+  assert.deepStrictEqual(sanitizeObject(JSON.parse('{"__.proto__":{"isAdmin":true},"ok":1}'), o), { ok: 1 });
+});
+
+test('resolveOptions — validates dotNotation', () => {
+  assert.throws(() => resolveOptions({ dotNotation: 'strip' }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ dotNotation: { action: 'drop' } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ dotNotation: { replaceWith: '.' } }), NoSQLSanitizeError);
+  assert.ok(resolveOptions({ dotNotation: { allow: ['a.b'] } }).dotNotation.allow.has('a.b'));
+});
+
+test('allowedOperators — keeps trusted operators, sanitizes everything else', () => {
+  const o = opts({ allowedOperators: ['$in', '$gte'] });
+  const result = sanitizeValue({ tags: { $in: ['$a', 'b'] }, age: { $gte: 18 }, $where: 'x', name: '$n' }, o);
+  assert.deepStrictEqual(result, { tags: { $in: ['a', 'b'] }, age: { $gte: 18 }, where: 'x', name: 'n' });
+});
+
+test('allowedOperators — survive removeMatches', () => {
+  const o = opts({ removeMatches: true, allowedOperators: ['$in'] });
+  assert.deepStrictEqual(sanitizeValue({ a: { $in: [1] }, $ne: 1 }, o), { a: { $in: [1] } });
+});
+
+test('allowedOperators — scoped to path prefixes', () => {
+  const o = opts({ allowedOperators: [{ operator: '$regex', paths: ['body.search'] }] });
+  const req = {
+    body: { search: { filter: { name: { $regex: '^a' } } }, profile: { name: { $regex: '^a' } } },
+  };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, {
+    search: { filter: { name: { $regex: '^a' } } },
+    profile: { name: { regex: '^a' } },
+  });
+});
+
+test('resolveOptions — allowedOperators resolves to a Map of prefixes', () => {
+  const o = resolveOptions({
+    allowedOperators: ['$in', { operator: '$in', paths: ['body.x'] }, { operator: '$gt', paths: ['body.a'] }],
+  });
+  assert.strictEqual(o.allowedOperators.get('$in'), null);
+  assert.deepStrictEqual(o.allowedOperators.get('$gt'), ['body.a']);
+  assert.throws(() => resolveOptions({ allowedOperators: ['in'] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ allowedOperators: [{ operator: '$in' }] }), NoSQLSanitizeError);
+});
+
+test('rules — override options per subtree', () => {
+  const o = opts({
+    stringOptions: { maxLength: 10 },
+    rules: {
+      'body.search.filter': { allowedOperators: ['$in', '$regex'] },
+      'body.profile.bio': { patterns: [/\$/g], stringOptions: { maxLength: 5000 } },
+    },
+  });
+  const bio = 'Line one\nLine two\tcosts $5';
+  const req = {
+    body: {
+      search: { filter: { tags: { $in: ['a'] }, name: { $regex: '^a' } } },
+      profile: { bio, name: { $regex: 'x' }, motto: 'a\nvery long motto' },
+    },
+  };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, {
+    search: { filter: { tags: { $in: ['a'] }, name: { $regex: '^a' } } },
+    profile: { bio: 'Line one\nLine two\tcosts 5', name: { regex: 'x' }, motto: 'avery long' },
+  });
+});
+
+test('rules — wildcards match any key or array index', () => {
+  const o = opts({ rules: { 'body.items[*].*': { replaceWith: '_' } } });
+  const req = { body: { items: [{ a: '$x' }, { b: { c: '$y' } }], other: '$z' } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { items: [{ a: '_x' }, { b: { c: '_y' } }], other: 'z' });
+});
+
+test('rules — most specific pattern wins', () => {
+  const o = opts({
+    rules: {
+      'body.*': { replaceWith: '*' },
+      'body.name': { replaceWith: '#' },
+    },
+  });
+  const req = { body: { name: '$a', other: '$b' } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { name: '#a', other: '*b' });
+});
+
+test('rules — value-level removeMatches and key filters follow the rule', () => {
+  const o = opts({
+    removeMatches: true,
+    rules: { 'body.note': { removeMatches: false }, 'body.meta': { deniedKeys: ['secret'] } },
+  });
+  const req = { body: { note: '$keep', drop: '$x', meta: { secret: 1, ok: 2 } } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { note: 'keep', meta: { ok: 2 } });
+});
+
+test('rules — events keep flowing in reject action', () => {
+  const o = opts({ action: 'reject', rules: { 'body.a': { replaceWith: '_' } } });
+  assert.throws(
+    () => handleRequest({ body: { a: { b: '$x' } } }, o),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.a.b',
+  );
+});
+
+test('resolveOptions — validates rules', () => {
+  assert.throws(() => resolveOptions({ rules: [] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ rules: { 'a..b': {} } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ rules: { a: { mode: 'manual' } } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ rules: { a: { replaceWith: 1 } } }), NoSQLSanitizeError);
+  const o = resolveOptions({ rules: { 'body.items[*]': { replaceWith: '_' }, 'body.items[0]': {} } });
+  assert.deepStrictEqual(
+    o._rules.map((r) => r.pattern),
+    ['body.items[0]', 'body.items[*]'],
+  );
+});
+
+test('scalarFields — reject throws on objects and arrays at scalar paths', () => {
+  const o = opts({ scalarFields: { paths: ['body.username', 'body.password', 'query.id'] } });
+  assert.throws(
+    () => handleRequest({ body: { username: 'bob', password: { $ne: null } } }, o),
+    (err) => err instanceof NoSQLSanitizeError && err.type === 'rejected',
+  );
+  assert.throws(() => handleRequest({ body: {}, query: { id: ['1', '2'] } }, o), NoSQLSanitizeError);
+
+  const req = { body: { username: 'bob', password: 'secret', profile: { id: 1 } }, query: { id: 42 } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { username: 'bob', password: 'secret', profile: { id: 1 } });
+  assert.strictEqual(req.query.id, 42);
+});
+
+test('scalarFields — reject action collects every offending path', () => {
+  const o = opts({ action: 'reject', scalarFields: { paths: ['body.username', 'body.password'] } });
+  assert.throws(
+    () => handleRequest({ body: { username: { $gt: '' }, password: { $gt: '' } } }, o),
+    (err) => err.paths.join() === 'body.username,body.password',
+  );
+});
+
+test('scalarFields — drop removes the value and emits a remove event', () => {
+  const events = [];
+  const o = opts({
+    scalarFields: { paths: ['body.ids[*]', 'body.name'], action: 'drop' },
+    onSanitize: (e) => events.push(e),
+  });
+  const req = { body: { name: { $regex: '.*' }, ids: ['a', { $gt: 0 }, 'b'] } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { ids: ['a', 'b'] });
+  assert.deepStrictEqual(
+    events.map(({ type, path, reason }) => ({ type, path, reason })),
+    [
+      { type: 'remove', path: 'body.name', reason: 'scalarFields' },
+      { type: 'remove', path: 'body.ids[1]', reason: 'scalarFields' },
+    ],
+  );
+});
+
+test('scalarFields — stringify serializes and sanitizes the value', () => {
+  const events = [];
+  const o = opts({
+    scalarFields: { paths: ['body.password'], action: 'stringify' },
+    onSanitize: (e) => events.push(e),
+  });
+  const req = { body: { password: { $ne: null } } };
+  handleRequest(req, o);
+  assert.strictEqual(req.body.password, '{"ne":null}');
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].type, 'coerce');
+  assert.strictEqual(events[0].path, 'body.password');
+  assert.deepStrictEqual(events[0].originalValue, { $ne: null });
+  assert.strictEqual(events[0].sanitizedValue, '{"ne":null}');
+});
+
+test('scalarFields — stringify rejects values it cannot serialize', () => {
+  const o = opts({ scalarFields: { paths: ['body.password'], action: 'stringify' } });
+  const circular = { a: 1 };
+  circular.self = circular;
+  for (const password of [circular, { n: 1n }]) {
+    assert.throws(
+      () => handleRequest({ body: { password } }, o),
+      (err) => err instanceof NoSQLSanitizeError && err.type === 'rejected' && err.paths[0] === 'body.password',
+    );
+  }
+});
+
+test('resolveOptions — validates scalarFields', () => {
+  assert.throws(() => resolveOptions({ scalarFields: ['body.a'] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ scalarFields: { paths: ['a..b'] } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ scalarFields: { action: 'coerce' } }), NoSQLSanitizeError);
+  const o = resolveOptions({ scalarFields: { paths: ['body.a'] } });
+  assert.strictEqual(o.scalarFields.action, 'reject');
+  assert.deepStrictEqual(o.scalarFields._segments, [['body', 'a']]);
+});
+
+test('deniedPaths — removes keys at exact paths only', () => {
+  const events = [];
+  const o = opts({ deniedPaths: ['body.role', 'body.account.isAdmin'], onSanitize: (e) => events.push(e) });
+  const req = { body: { name: 'a', role: 'admin', account: { isAdmin: true, plan: 'pro' }, settings: { role: 'x' } } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { name: 'a', account: { plan: 'pro' }, settings: { role: 'x' } });
+  assert.deepStrictEqual(
+    events.map(({ path, reason }) => ({ path, reason })),
+    [
+      { path: 'body.role', reason: 'deniedPaths' },
+      { path: 'body.account.isAdmin', reason: 'deniedPaths' },
+    ],
+  );
+});
+
+test('deniedPaths — match keys after sanitization', () => {
+  const o = opts({ deniedPaths: ['body.role', 'body.account.isAdmin'] });
+  const req = { body: { $role: 'admin', $account: { isAdmin: true } } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { account: {} });
+});
+
+test('deniedPaths / allowedPaths — dotted keys are matched segment by segment', () => {
+  const events = [];
+  const denied = opts({
+    deniedPaths: ['body.account.isAdmin', 'body.items[*].price'],
+    onSanitize: (e) => events.push(e),
+  });
+  const req = {
+    body: { 'account.isAdmin': true, 'account.name': 'a', 'items.0.price': 0, $account: { 'isAdmin.x': 1 } },
+  };
+  handleRequest(req, denied);
+  assert.deepStrictEqual(req.body, { 'account.name': 'a', account: {} });
+  assert.deepStrictEqual(
+    events.filter((e) => e.type === 'remove').map((e) => [e.path, e.reason]),
+    [
+      ['body["account.isAdmin"]', 'deniedPaths'],
+      ['body["items.0.price"]', 'deniedPaths'],
+      ['body.$account["isAdmin.x"]', 'deniedPaths'],
+    ],
+  );
+
+  const allowed = opts({ allowedPaths: ['body.account.name'] });
+  const update = { body: { 'account.name': 'a', 'account.isAdmin': true, account: { isAdmin: true } } };
+  handleRequest(update, allowed);
+  assert.deepStrictEqual(update.body, { 'account.name': 'a', account: {} });
+});
+
+test('allowedPaths — keeps whitelisted fields, their parents and subtrees', () => {
+  const events = [];
+  const o = opts({
+    allowedPaths: ['body.name', 'body.profile.bio', 'body.address'],
+    onSanitize: (e) => events.push(e),
+  });
+  const req = {
+    body: { name: 'a', role: 'admin', profile: { bio: 'b', verified: true }, address: { city: 'c', zip: '1' } },
+    query: { page: '2' },
+  };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { name: 'a', profile: { bio: 'b' }, address: { city: 'c', zip: '1' } });
+  assert.deepStrictEqual(req.query, { page: '2' });
+  assert.deepStrictEqual(
+    events.map(({ path, reason }) => ({ path, reason })),
+    [
+      { path: 'body.role', reason: 'allowedPaths' },
+      { path: 'body.profile.verified', reason: 'allowedPaths' },
+    ],
+  );
+});
+
+test('allowedPaths — standalone sanitizeValue paths start at the first key', () => {
+  const o = opts({ allowedPaths: ['name'] });
+  assert.deepStrictEqual(sanitizeValue({ name: 'a', role: 'b' }, o), { name: 'a' });
+});
+
+test('routeFields — apply per route and method', () => {
+  const o = opts({
+    deniedPaths: ['body.role'],
+    routeFields: [
+      { route: '/users/:id', methods: ['put', 'PATCH'], allowedPaths: ['body.name', 'body.role'] },
+      { route: /^\/admin\//, deniedPaths: ['body.owner'] },
+    ],
+  });
+  const body = () => ({ name: 'a', role: 'admin', owner: 'me' });
+
+  const update = { method: 'PATCH', url: '/users/42?x=1', body: body() };
+  handleRequest(update, o);
+  assert.deepStrictEqual(update.body, { name: 'a' });
+
+  const read = { method: 'GET', url: '/users/42', body: body() };
+  handleRequest(read, o);
+  assert.deepStrictEqual(read.body, { name: 'a', owner: 'me' });
+
+  const admin = { method: 'POST', path: '/admin/teams', body: body() };
+  handleRequest(admin, o);
+  assert.deepStrictEqual(admin.body, { name: 'a' });
+});
+
+test('routeFields — reject action fails on server-owned fields', () => {
+  const o = opts({ action: 'reject', routeFields: [{ route: '/me', deniedPaths: ['body.isAdmin'] }] });
+  assert.throws(
+    () => handleRequest({ method: 'PUT', url: '/me', body: { isAdmin: true } }, o),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.isAdmin',
+  );
+  assert.doesNotThrow(() => handleRequest({ method: 'PUT', url: '/other', body: { isAdmin: true } }, o));
+});
+
+test('resolveOptions — validates deniedPaths, allowedPaths and routeFields', () => {
+  assert.throws(() => resolveOptions({ deniedPaths: 'body.role' }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ allowedPaths: ['a..b'] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ routeFields: [{ paths: [] }] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ routeFields: [{ route: '/a', methods: 'GET' }] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ routeFields: [{ route: '/a', replaceWith: '_' }] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ routeFields: [{ route: '/a', deniedPaths: ['['] }] }), NoSQLSanitizeError);
+  const o = resolveOptions({ deniedPaths: ['body.a'], routeFields: [{ route: '/u/:id', deniedPaths: ['body.b'] }] });
+  assert.deepStrictEqual(o._routes[0].options.deniedPaths, ['body.a', 'body.b']);
+  assert.strictEqual(o._routes[0].route.test('/u/1'), true);
+  assert.strictEqual(o._routes[0].methods, null);
+});
+
+test('keyCollision — keepOriginal keeps the key sent under that name, in either order', () => {
+  const events = [];
+  const o = opts({ onSanitize: (e) => events.push(e) });
+  assert.deepStrictEqual(sanitizeValue({ $name: 'evil', name: 'good' }, o), { name: 'good' });
+  assert.deepStrictEqual(sanitizeValue({ name: 'good', $name: 'evil' }, o), { name: 'good' });
+  const collisions = events.filter((e) => e.type === 'collision');
+  assert.deepStrictEqual(
+    collisions.map(({ path, originalValue, sanitizedValue }) => ({ path, originalValue, sanitizedValue })),
+    [
+      { path: '$name', originalValue: '$name', sanitizedValue: undefined },
+      { path: '$name', originalValue: '$name', sanitizedValue: undefined },
+    ],
+  );
+});
+
+test('keyCollision — keepFirst keeps whichever key came first', () => {
+  const o = opts({ keyCollision: { action: 'keepFirst' } });
+  assert.deepStrictEqual(sanitizeValue({ $name: 'a', name: 'b' }, o), { name: 'a' });
+  assert.deepStrictEqual(sanitizeValue({ name: 'b', $name: 'a' }, o), { name: 'b' });
+});
+
+test('keyCollision — suffix keeps both values, original key first', () => {
+  const events = [];
+  const o = opts({ keyCollision: { action: 'suffix' }, onSanitize: (e) => events.push(e) });
+  assert.deepStrictEqual(sanitizeValue({ $name: 'evil', name: 'good', name_1: 'x' }, o), {
+    name: 'good',
+    name_1: 'x',
+    name_2: 'evil',
+  });
+  const [collision] = events.filter((e) => e.type === 'collision');
+  assert.strictEqual(collision.path, '$name');
+  assert.strictEqual(collision.sanitizedValue, 'name_2');
+});
+
+test('keyCollision — reject throws, or collects in reject action', () => {
+  assert.throws(
+    () =>
+      handleRequest({ body: { a: { $role: 'admin', role: 'user' } } }, opts({ keyCollision: { action: 'reject' } })),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.a.$role',
+  );
+  assert.throws(
+    () => handleRequest({ body: { $role: 'admin', role: 'user' } }, opts({ action: 'reject' })),
+    (err) => err.paths.includes('body.$role'),
+  );
+});
+
+test('resolveOptions — validates keyCollision', () => {
+  assert.throws(() => resolveOptions({ keyCollision: 'suffix' }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ keyCollision: { action: 'overwrite' } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ keyCollision: { suffix: '' } }), NoSQLSanitizeError);
+  assert.deepStrictEqual(resolveOptions().keyCollision, { action: 'keepOriginal', suffix: '_' });
+});
+
+test('compilePathPattern / matchPathPattern', () => {
+  const segments = compilePathPattern('body.items[*]["a.b"]');
+  const path = createPath(createPath(createPath(createPath(null, 'body', 'body'), 'items'), 3), 'a.b');
+  assert.strictEqual(matchPathPattern(path, segments), true);
+  assert.strictEqual(matchPathPattern(path.parent, segments), false);
+  assert.strictEqual(matchPathPattern(path, compilePathPattern('body.items.*["a.b"]')), false);
+  assert.strictEqual(compilePathPattern('a[b]'), null);
+  assert.strictEqual(matchPathPrefix(path.parent, segments), true);
+  assert.strictEqual(matchPathPrefix(path, compilePathPattern('body.items')), false);
+  assert.strictEqual(compilePathPattern(''), null);
+});
+
 test('resolveOptions — returns valid defaults', () => {
   const o = resolveOptions();
   assert.strictEqual(o.replaceWith, '');
   assert.strictEqual(o.removeMatches, false);
   assert.strictEqual(o.mode, 'auto');
   assert.strictEqual(o.recursive, true);
-  assert.ok(o._combinedPattern instanceof RegExp);
+  assert.ok(o._keyRules.groups[0].regex instanceof RegExp);
+  assert.ok(o._valueRules.groups[0].regex instanceof RegExp);
   assert.ok(o.skipRoutes.exact instanceof Set);
   assert.ok(Array.isArray(o.skipRoutes.regex));
-  assert.ok(o.allowedKeys instanceof Set);
-  assert.ok(o.deniedKeys instanceof Set);
+  assert.ok(o.allowedKeys.exact instanceof Set);
+  assert.ok(Array.isArray(o.allowedKeys.regex));
+  assert.ok(o.deniedKeys.exact instanceof Set);
+  assert.ok(Array.isArray(o.deniedKeys.regex));
 });
 
 test('resolveOptions — merges user options', () => {
@@ -252,8 +785,9 @@ test('resolveOptions — validates boolean options strictly', () => {
 
 test('resolveOptions — pre-compiles combined pattern', () => {
   const o = resolveOptions({ patterns: [/abc/g, /def/g] });
-  assert.ok(o._combinedPattern instanceof RegExp);
-  assert.strictEqual(o._combinedPattern.source, 'abc|def');
+  assert.ok(o._keyRules.groups[0].regex instanceof RegExp);
+  assert.strictEqual(o._keyRules.groups[0].regex.source, 'abc|def');
+  assert.strictEqual(o._valueRules.groups[0].regex.source, 'abc|def');
 });
 
 test('resolveOptions — converts skipRoutes to cleaned Set', () => {
@@ -326,6 +860,108 @@ test('handleRequest — non-writable property uses defineProperty', () => {
   assert.deepStrictEqual(req.query, { role: 'admin' });
 });
 
+test('handleRequest — action reject throws with every offending path', () => {
+  const o = opts({ action: 'reject' });
+  const req = { body: { username: 'admin', password: { $ne: '' } }, query: { q: '$where' } };
+  const original = req.body;
+  assert.throws(
+    () => handleRequest(req, o),
+    (err) => {
+      assert.ok(err instanceof NoSQLSanitizeError);
+      assert.strictEqual(err.type, 'rejected');
+      assert.strictEqual(err.statusCode, 400);
+      assert.deepStrictEqual(err.paths, ['body.password.$ne', 'query.q']);
+      assert.ok(err.message.includes('body.password.$ne'));
+      return true;
+    },
+  );
+  // Request left untouched
+  assert.strictEqual(req.body, original);
+  assert.deepStrictEqual(req.query, { q: '$where' });
+});
+
+test('handleRequest — action reject passes clean requests and still fires onSanitize', () => {
+  const calls = [];
+  const o = opts({ action: 'reject', onSanitize: (e) => calls.push(e) });
+  const req = { body: { username: 'admin' }, query: {} };
+  assert.doesNotThrow(() => handleRequest(req, o));
+  assert.deepStrictEqual(req.body, { username: 'admin' });
+
+  assert.throws(() => handleRequest({ body: { name: '$x' } }, o), NoSQLSanitizeError);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('handleRequest — action reject ignores maxDepth cut-offs', () => {
+  const o = opts({ action: 'reject', maxDepth: 1, maxDepthAction: 'passThrough' });
+  assert.doesNotThrow(() => handleRequest({ body: { nested: { $gt: 1 } } }, o));
+});
+
+test('handleRequest — action report leaves request untouched and returns would-be changes', () => {
+  const calls = [];
+  const o = opts({ action: 'report', removeMatches: true, onSanitize: (e) => calls.push(e) });
+  const body = { $where: 'sleep(1000)', name: 'ok', tags: ['$x'] };
+  const req = { body, query: { q: '$gt' } };
+  const events = handleRequest(req, o);
+
+  assert.strictEqual(req.body, body);
+  assert.deepStrictEqual(req.body, { $where: 'sleep(1000)', name: 'ok', tags: ['$x'] });
+  assert.deepStrictEqual(req.query, { q: '$gt' });
+  assert.deepStrictEqual(
+    events.map(({ type, path, reason }) => ({ type, path, reason })),
+    [
+      { type: 'remove', path: 'body.$where', reason: 'removeMatches' },
+      { type: 'value', path: 'body.tags[0]', reason: undefined },
+      { type: 'remove', path: 'query.q', reason: 'removeMatches' },
+    ],
+  );
+  assert.deepStrictEqual(calls, events);
+});
+
+test('handleRequest — action sanitize returns nothing', () => {
+  assert.strictEqual(handleRequest({ body: { a: '$b' } }, opts()), undefined);
+});
+
+test('resolveOptions — validates action and rejectOptions', () => {
+  assert.throws(() => resolveOptions({ action: 'drop' }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ rejectOptions: 'x' }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ rejectOptions: { statusCode: 200 } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ rejectOptions: { body: 'nope' } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ rejectOptions: { maxEvents: 0 } }), NoSQLSanitizeError);
+  const o = resolveOptions({ rejectOptions: { statusCode: 422 } });
+  assert.deepStrictEqual(o.rejectOptions, { statusCode: 422, body: null, maxEvents: 100 });
+});
+
+test('handleRequest — reject and report keep at most rejectOptions.maxEvents events', () => {
+  const depth = 14000;
+  const body = () => JSON.parse('{"$a":'.repeat(depth) + '1' + '}'.repeat(depth));
+  let caught;
+  try {
+    handleRequest({ body: body() }, opts({ action: 'reject' }));
+  } catch (err) {
+    caught = err;
+  }
+  assert.strictEqual(caught.type, 'rejected');
+  assert.strictEqual(caught.events.length, 100);
+  assert.strictEqual(caught.omitted, depth - 100);
+  assert.ok(caught.message.endsWith(`and ${depth - 10} more`));
+  assert.ok(caught.message.length < 2500);
+
+  const small = opts({ action: 'report', rejectOptions: { maxEvents: 2 } });
+  const events = handleRequest({ body: { $a: 1, $b: 2, $c: 3 } }, small);
+  assert.deepStrictEqual(
+    events.map((e) => e.path),
+    ['body.$a', 'body.$b'],
+  );
+});
+
+test('handleRequest — the reject message counts omitted events when few paths are kept', () => {
+  const body = Object.fromEntries(Array.from({ length: 5 }, (_, i) => [`$k${i}`, i]));
+  assert.throws(
+    () => handleRequest({ body }, opts({ action: 'reject', rejectOptions: { maxEvents: 2 } })),
+    (err) => err.omitted === 3 && err.message === 'Request rejected: forbidden input at body.$k0, body.$k1 and 3 more',
+  );
+});
+
 test('shouldSkipRoute — exact match with cleaned paths', () => {
   const skipRoutes = { exact: new Set(['/health', '/metrics']), regex: [] };
   assert.strictEqual(shouldSkipRoute('/health', skipRoutes), true);
@@ -448,7 +1084,7 @@ test('removeMatches — no lastIndex leakage in pattern.test', () => {
 });
 
 test('maxDepth — stops recursion at limit', () => {
-  const o = opts({ maxDepth: 1 });
+  const o = opts({ maxDepth: 1, maxDepthAction: 'passThrough' });
   const input = {
     level1: '$admin',
     nested: { level2: '$danger', deep: { level3: '$hidden' } },
@@ -468,7 +1104,7 @@ test('maxDepth — null means unlimited', () => {
 });
 
 test('maxDepth — depth 2 sanitizes 2 levels deep', () => {
-  const o = opts({ maxDepth: 2 });
+  const o = opts({ maxDepth: 2, maxDepthAction: 'passThrough' });
   const input = { a: { b: '$ok', c: { d: '$stop' } } };
   const result = sanitizeValue(input, o);
   assert.strictEqual(result.a.b, 'ok'); // string at depth 1 — always sanitized
@@ -476,13 +1112,838 @@ test('maxDepth — depth 2 sanitizes 2 levels deep', () => {
 });
 
 test('maxDepth — arrays count as depth', () => {
-  const o = opts({ maxDepth: 1 });
+  const o = opts({ maxDepth: 1, maxDepthAction: 'passThrough' });
   const input = [{ name: '$admin' }];
   const result = sanitizeValue(input, o);
   // array at depth 0 → enters array (depth 1), object inside at depth 1 >= maxDepth → not recursed
   assert.deepStrictEqual(result, [{ name: '$admin' }]);
 });
 
+test('maxDepth — applies to direct sanitizeObject and sanitizeArray calls', () => {
+  const o = opts({ maxDepth: 2, maxDepthAction: 'passThrough' });
+  assert.deepStrictEqual(sanitizeObject({ $a: { $b: { $c: { $d: 1 } } } }, o), { a: { b: { c: { $d: 1 } } } });
+  assert.deepStrictEqual(sanitizeObject({ a: { b: { c: { $d: 1 } } } }, opts({ maxDepth: 2 })), { a: { b: {} } });
+  assert.deepStrictEqual(sanitizeArray([[{ $c: 1 }], '$x'], opts({ maxDepth: 1 })), [[], 'x']);
+  assert.throws(
+    () => sanitizeObject({ a: { b: { c: 1 } } }, opts({ maxDepth: 1, maxDepthAction: 'reject' })),
+    NoSQLSanitizeError,
+  );
+});
+
+test('maxDepthAction — truncate (default) drops subtrees past the limit', () => {
+  const events = [];
+  const o = opts({ maxDepth: 1, onSanitize: (e) => events.push(e) });
+  assert.deepStrictEqual(sanitizeValue({ a: '$x', nested: { $gt: 1 }, list: [{ $ne: 1 }, 'ok'] }, o), { a: 'x' });
+  assert.deepStrictEqual(sanitizeValue({ list: [{ $ne: 1 }, '$ok'] }, opts({ maxDepth: 2 })), { list: ['ok'] });
+  const maxDepthEvents = events.filter((e) => e.type === 'maxDepth');
+  assert.deepStrictEqual(
+    maxDepthEvents.map(({ path, sanitizedValue }) => ({ path, sanitizedValue })),
+    [
+      { path: 'nested', sanitizedValue: undefined },
+      { path: 'list', sanitizedValue: undefined },
+    ],
+  );
+});
+
+test('maxDepthAction — null replaces subtrees past the limit', () => {
+  const o = opts({ maxDepth: 1, maxDepthAction: 'null' });
+  assert.deepStrictEqual(sanitizeValue({ a: '$x', nested: { $gt: 1 } }, o), { a: 'x', nested: null });
+});
+
+test('maxDepthAction — stringsOnly keeps structure and sanitizes strings and keys', () => {
+  const events = [];
+  const o = opts({ maxDepth: 1, maxDepthAction: 'stringsOnly', onSanitize: (e) => events.push(e) });
+  assert.deepStrictEqual(sanitizeValue({ nested: { $gt: '$1', list: ['$a', 2] } }, o), {
+    nested: { gt: '1', list: ['a', 2] },
+  });
+  assert.deepStrictEqual(
+    events.map(({ type, path }) => ({ type, path })),
+    [
+      { type: 'key', path: 'nested.$gt' },
+      { type: 'value', path: 'nested.$gt' },
+      { type: 'value', path: 'nested.list[0]' },
+      { type: 'maxDepth', path: 'nested' },
+    ],
+  );
+});
+
+test('maxDepthAction — stringsOnly resolves key collisions like the rest of the tree', () => {
+  const body = { a: { b: { $c: '$x', c: 'y', $d: { $e: 1 } } } };
+  const o = { maxDepth: 1, maxDepthAction: 'stringsOnly' };
+  assert.deepStrictEqual(sanitizeValue(body, opts(o)), { a: { b: { c: 'y', d: { e: 1 } } } });
+  assert.deepStrictEqual(sanitizeValue(body, opts({ ...o, keyCollision: { action: 'suffix' } })), {
+    a: { b: { c: 'y', c_1: 'x', d: { e: 1 } } },
+  });
+});
+
+test('maxDepthAction — stringsOnly applies key policies past the limit', () => {
+  const body = () =>
+    JSON.parse('{"a":{"b":{"__proto__":{"isAdmin":true},"constructor":{"x":1},"role":"admin","p.q":1,"ok":"$v"}}}');
+  const o = { maxDepth: 1, maxDepthAction: 'stringsOnly' };
+
+  const result = sanitizeValue(body(), opts({ ...o, deniedKeys: ['role'] }));
+  assert.deepStrictEqual(result, { a: { b: { 'p.q': 1, ok: 'v' } } });
+  assert.strictEqual(Object.assign({}, result.a.b).isAdmin, undefined);
+
+  for (const policy of [{ prototypePollution: { action: 'reject' } }, { dotNotation: { action: 'reject' } }]) {
+    assert.throws(
+      () => sanitizeValue(body(), opts({ ...o, ...policy })),
+      (err) => err.type === 'rejected',
+    );
+  }
+
+  const request = { body: body() };
+  handleRequest(
+    request,
+    opts({ ...o, maxDepth: 2, deniedPaths: ['body.a.b.role'], allowedKeys: ['a', 'b', 'role', 'ok'] }),
+  );
+  assert.deepStrictEqual(request.body, { a: { b: { ok: 'v' } } });
+
+  const scalar = opts({ ...o, scalarFields: { paths: ['a.b.ok', 'a.b.list'], action: 'drop' } });
+  assert.deepStrictEqual(sanitizeValue({ a: { b: { ok: { $ne: 1 }, list: [1] } } }, scalar), { a: { b: {} } });
+});
+
+test('maxDepthAction — reject throws, and reject action treats cut-offs as violations', () => {
+  const o = opts({ maxDepth: 1, maxDepthAction: 'reject' });
+  assert.throws(
+    () => handleRequest({ body: { a: { b: { c: 1 } } } }, opts({ maxDepth: 2, maxDepthAction: 'reject' })),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.a.b',
+  );
+  assert.doesNotThrow(() => sanitizeValue({ a: 1 }, o));
+  assert.throws(
+    () => handleRequest({ body: { nested: { ok: 1 } } }, opts({ action: 'reject', maxDepth: 1 })),
+    (err) => err.paths[0] === 'body.nested',
+  );
+});
+
+test('limits — truncate keys, arrays, strings and over-long keys', () => {
+  const events = [];
+  const o = opts({
+    limits: { maxKeys: 3, maxArrayLength: 2, maxKeyLength: 5, maxStringLength: 4 },
+    onSanitize: (e) => events.push(e),
+  });
+  const result = sanitizeValue({ a: '$abcdef', longkey: 1, b: [1, 2, 3], c: 'dropped' }, o);
+  assert.deepStrictEqual(result, { a: 'abc', b: [1, 2] });
+  assert.deepStrictEqual(
+    events
+      .filter((e) => e.type === 'limit')
+      .map(({ path, reason, originalValue, sanitizedValue }) => ({ path, reason, originalValue, sanitizedValue })),
+    [
+      { path: '', reason: 'maxKeys', originalValue: 4, sanitizedValue: 3 },
+      { path: 'a', reason: 'maxStringLength', originalValue: 7, sanitizedValue: 4 },
+      { path: 'longkey', reason: 'maxKeyLength', originalValue: 7, sanitizedValue: 5 },
+      { path: 'b', reason: 'maxArrayLength', originalValue: 3, sanitizedValue: 2 },
+    ],
+  );
+});
+
+test('limits — maxNodes stops the traversal across request fields', () => {
+  const events = [];
+  const o = opts({ limits: { maxNodes: 4 }, onSanitize: (e) => events.push(e) });
+  const req = { body: { a: 1, b: [1, 2] }, query: { q: '1', r: '2' } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { a: 1, b: [1, 2] });
+  assert.deepStrictEqual(req.query, {});
+  assert.deepStrictEqual(
+    events.map(({ type, path, reason }) => ({ type, path, reason })),
+    [{ type: 'limit', path: 'query.q', reason: 'maxNodes' }],
+  );
+});
+
+test('limits — onStats reports observed sizes once per request', () => {
+  const stats = [];
+  const o = opts({ limits: { maxArrayLength: 2, onStats: (s) => stats.push(s) } });
+  handleRequest({ body: { name: 'abc', tags: ['x', 'y', 'z'] }, query: { page: '10' } }, o);
+  assert.deepStrictEqual(stats, [
+    {
+      nodes: 5,
+      maxKeys: 2,
+      maxArrayLength: 3,
+      maxKeyLength: 4,
+      maxStringLength: 3,
+      exceeded: { maxKeys: 0, maxArrayLength: 1, maxKeyLength: 0, maxNodes: 0, maxStringLength: 0 },
+    },
+  ]);
+});
+
+test('limits — reject throws, or collects in reject action', () => {
+  assert.throws(
+    () => handleRequest({ body: { tags: [1, 2, 3] } }, opts({ limits: { maxArrayLength: 2, action: 'reject' } })),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.tags',
+  );
+  assert.throws(
+    () => handleRequest({ body: { name: 'abcdef' } }, opts({ action: 'reject', limits: { maxStringLength: 3 } })),
+    (err) => err.paths[0] === 'body.name',
+  );
+});
+
+test('limits — apply past maxDepth with stringsOnly', () => {
+  const deep = { a: { list: Array.from({ length: 1000 }, (_, i) => i) } };
+  assert.throws(
+    () =>
+      handleRequest(
+        { body: deep },
+        opts({ maxDepth: 1, maxDepthAction: 'stringsOnly', limits: { maxNodes: 5, action: 'reject' } }),
+      ),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.a.list[3]',
+  );
+
+  const stats = [];
+  const o = opts({
+    maxDepth: 1,
+    maxDepthAction: 'stringsOnly',
+    limits: { maxArrayLength: 2, maxStringLength: 2, maxNodes: 4, onStats: (s) => stats.push(s) },
+  });
+  const req = { body: { a: { list: ['$abc', 'de', 'fg'], s: 'x' } } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(req.body, { a: { list: ['a', 'de'] } });
+  assert.strictEqual(stats[0].nodes, 4);
+  assert.deepStrictEqual(stats[0].exceeded, {
+    maxKeys: 0,
+    maxArrayLength: 1,
+    maxKeyLength: 0,
+    maxNodes: 1,
+    maxStringLength: 1,
+  });
+});
+
+test('resolveOptions — validates limits', () => {
+  assert.throws(() => resolveOptions({ limits: 10 }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ limits: { maxKeys: 0 } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ limits: { maxNodes: 1.5 } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ limits: { action: 'drop' } }), NoSQLSanitizeError);
+  assert.strictEqual(resolveOptions().limits._enabled, false);
+  assert.strictEqual(resolveOptions({ limits: { maxKeys: 10 } }).limits._enabled, true);
+});
+
+test('resolveOptions — validates maxDepthAction', () => {
+  assert.throws(() => resolveOptions({ maxDepthAction: 'ignore' }), NoSQLSanitizeError);
+  assert.strictEqual(resolveOptions().maxDepthAction, 'truncate');
+});
+
+test('traversal — deeply nested input does not overflow the call stack', () => {
+  let body = '$end';
+  for (let i = 0; i < 50000; i++) body = i % 2 ? { $next: body } : [body];
+  let result = sanitizeValue(body, opts());
+  let depth = 0;
+  while (typeof result !== 'string') {
+    result = Array.isArray(result) ? result[0] : result.next;
+    depth++;
+  }
+  assert.strictEqual(depth, 50000);
+  assert.strictEqual(result, 'end');
+
+  const request = { body: { nested: body } };
+  handleRequest(request, opts({ maxDepth: 3 }));
+  assert.deepStrictEqual(request.body, { nested: { next: [] } });
+
+  result = sanitizeValue(body, opts({ maxDepth: 2, maxDepthAction: 'stringsOnly' }));
+  assert.ok(!('$next' in result.next[0]));
+  while (typeof result !== 'string') result = Array.isArray(result) ? result[0] : result.next;
+  assert.strictEqual(result, 'end');
+});
+
+test('circular — throws a typed error by default', () => {
+  const body = { name: '$admin' };
+  body.self = body;
+  assert.throws(
+    () => handleRequest({ body }, opts()),
+    (err) => err instanceof NoSQLSanitizeError && err.type === 'circular' && /body\.self/.test(err.message),
+  );
+  const arr = [{ a: 1 }];
+  arr[0].back = arr;
+  assert.throws(
+    () => sanitizeValue(arr, opts()),
+    (err) => err.type === 'circular',
+  );
+});
+
+test('circular — marker replaces the reference and reports it', () => {
+  const events = [];
+  const body = { $name: 'x', child: { tags: [] } };
+  body.child.tags.push(body.child);
+  const o = opts({ circular: { action: 'marker' }, onSanitize: (e) => events.push(e) });
+  const result = sanitizeValue(body, o);
+  assert.deepStrictEqual(result, { name: 'x', child: { tags: ['[Circular]'] } });
+  const circular = events.filter((e) => e.type === 'circular');
+  assert.strictEqual(circular.length, 1);
+  assert.strictEqual(circular[0].path, 'child.tags[0]');
+  assert.strictEqual(circular[0].sanitizedValue, '[Circular]');
+
+  const custom = sanitizeValue(body, opts({ circular: { action: 'marker', marker: null } }));
+  assert.strictEqual(custom.child.tags[0], null);
+});
+
+test('circular — preserve rebuilds the cycle in the output', () => {
+  const body = { $where: 'x', list: [null] };
+  body.self = body;
+  body.list.push(body.list);
+  const result = sanitizeValue(body, opts({ circular: { action: 'preserve' }, arrayOptions: { filterNull: true } }));
+  assert.notStrictEqual(result, body);
+  assert.strictEqual(result.self, result);
+  assert.strictEqual(result.where, 'x');
+  assert.strictEqual(result.list.length, 1);
+  assert.strictEqual(result.list[0], result.list);
+});
+
+test('circular — cycles are found at any depth', () => {
+  const nodes = [{ level: 0 }];
+  for (let i = 1; i <= 30; i++) nodes.push((nodes[i - 1].next = { level: i }));
+  nodes[30].root = nodes[0];
+  nodes[30].middle = nodes[20];
+  const result = sanitizeValue(nodes[0], opts({ circular: { action: 'preserve' } }));
+  const out = [result];
+  for (let i = 1; i <= 30; i++) out.push(out[i - 1].next);
+  assert.strictEqual(out[30].level, 30);
+  assert.strictEqual(out[30].root, result);
+  assert.strictEqual(out[30].middle, out[20]);
+  assert.throws(
+    () => sanitizeValue(nodes[0], opts()),
+    (err) => err.type === 'circular',
+  );
+});
+
+test('circular — traversal state is reused safely across calls', () => {
+  const cyclic = { a: {} };
+  cyclic.a.back = cyclic;
+  const o = opts();
+  assert.throws(
+    () => sanitizeValue(cyclic, o),
+    (err) => err.type === 'circular',
+  );
+  assert.deepStrictEqual(sanitizeValue({ a: { $b: 1 } }, o), { a: { b: 1 } });
+
+  const nested = [];
+  let inside = false;
+  const outer = opts({
+    circular: { action: 'marker' },
+    onSanitize: () => {
+      if (inside) return;
+      inside = true;
+      nested.push(sanitizeValue({ x: { $y: '$z' } }, outer));
+      inside = false;
+    },
+  });
+  const result = sanitizeValue({ $k: cyclic }, outer);
+  assert.strictEqual(result.k.a.back, '[Circular]');
+  assert.ok(nested.length > 0);
+  assert.ok(nested.every((value) => value.x.y === 'z'));
+});
+
+test('circular — shared references that are not cycles are sanitized normally', () => {
+  const shared = { $gt: 1 };
+  const result = sanitizeValue({ a: shared, b: [shared] }, opts());
+  assert.deepStrictEqual(result, { a: { gt: 1 }, b: [{ gt: 1 }] });
+});
+
+test('resolveOptions — validates circular', () => {
+  assert.throws(() => resolveOptions({ circular: 'marker' }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ circular: { action: 'drop' } }), NoSQLSanitizeError);
+  assert.deepStrictEqual(resolveOptions().circular, { action: 'throw', marker: '[Circular]' });
+});
+
+test('typeHandlers — Map and Set are traversed by default', () => {
+  const input = new Map([
+    ['$where', 'a$'],
+    [1, { $ne: 2 }],
+    ['tags', new Set(['$x', 'y'])],
+  ]);
+  const result = sanitizeValue({ input }, opts());
+  assert.ok(result.input instanceof Map);
+  assert.deepStrictEqual([...result.input.keys()], ['where', 1, 'tags']);
+  assert.strictEqual(result.input.get('where'), 'a');
+  assert.deepStrictEqual(result.input.get(1), { ne: 2 });
+  assert.deepStrictEqual(result.input.get('tags'), new Set(['x', 'y']));
+});
+
+test('typeHandlers — binary and BSON values are preserved', () => {
+  class ObjectId {
+    constructor(id) {
+      this.$id = id;
+    }
+    get _bsontype() {
+      return 'ObjectId';
+    }
+  }
+  const id = new ObjectId('$abc');
+  const buffer = Buffer.from('$gt');
+  const bytes = new Uint8Array([36]);
+  const result = sanitizeValue({ id, buffer, bytes }, opts());
+  assert.strictEqual(result.id, id);
+  assert.strictEqual(result.buffer, buffer);
+  assert.strictEqual(result.bytes, bytes);
+});
+
+test('typeHandlers — class instances are left as-is unless registered', () => {
+  class Filter {
+    constructor() {
+      this.$where = 'sleep(1000)';
+      this.nested = { $gt: 1 };
+    }
+    describe() {
+      return 'filter';
+    }
+  }
+  const filter = new Filter();
+  assert.strictEqual(sanitizeValue({ filter }, opts()).filter, filter);
+
+  const result = sanitizeValue({ filter }, opts({ typeHandlers: [{ type: Filter, action: 'traverse' }] })).filter;
+  assert.ok(result instanceof Filter);
+  assert.notStrictEqual(result, filter);
+  assert.strictEqual(result.describe(), 'filter');
+  assert.deepStrictEqual({ ...result }, { where: 'sleep(1000)', nested: { gt: 1 } });
+});
+
+test('typeHandlers — reject drops the value, and user handlers take precedence', () => {
+  const events = [];
+  const o = opts({
+    action: 'report',
+    typeHandlers: [{ name: 'anyMap', test: (v) => v instanceof Map, action: 'reject' }],
+    onSanitize: (e) => events.push(e),
+  });
+  assert.deepStrictEqual(sanitizeValue({ a: 1, m: new Map() }, o), { a: 1 });
+  assert.strictEqual(events[0].type, 'remove');
+  assert.strictEqual(events[0].reason, 'typeHandlers');
+  assert.strictEqual(events[0].path, 'm');
+
+  assert.throws(
+    () => handleRequest({ body: { m: new Map() } }, opts({ typeHandlers: [{ type: Map, action: 'reject' }] })),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.m',
+  );
+});
+
+test('resolveOptions — validates typeHandlers', () => {
+  assert.throws(() => resolveOptions({ typeHandlers: {} }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ typeHandlers: [{ type: Map, action: 'drop' }] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ typeHandlers: [{ action: 'preserve' }] }), NoSQLSanitizeError);
+  assert.throws(
+    () => resolveOptions({ typeHandlers: [{ type: Map, test: () => true, action: 'preserve' }] }),
+    NoSQLSanitizeError,
+  );
+  const o = resolveOptions({ typeHandlers: [{ type: Map, action: 'preserve' }] });
+  assert.strictEqual(o._typeHandlers[0].name, 'Map');
+  assert.strictEqual(o._typeHandlers.length, 5);
+});
+
+test('ejson — off by default, so wrappers are sanitized like any object', () => {
+  assert.deepStrictEqual(sanitizeValue({ _id: { $oid: '507f1f77bcf86cd799439011' } }, opts()), {
+    _id: { oid: '507f1f77bcf86cd799439011' },
+  });
+});
+
+test('ejson — keep leaves valid wrappers whole and sanitizes everything else', () => {
+  const o = opts({ ejson: { action: 'keep' } });
+  const body = {
+    _id: { $oid: '507f1f77bcf86cd799439011' },
+    price: { $numberDecimal: '9.99' },
+    stamp: { $timestamp: { t: 1700000000, i: 1 } },
+    badId: { $oid: 'not-an-object-id' },
+    extraKey: { $oid: '507f1f77bcf86cd799439011', $where: 'sleep(1)' },
+    query: { $gt: 1 },
+  };
+  assert.deepStrictEqual(sanitizeValue(body, o), {
+    _id: { $oid: '507f1f77bcf86cd799439011' },
+    price: { $numberDecimal: '9.99' },
+    stamp: { $timestamp: { t: 1700000000, i: 1 } },
+    badId: { oid: 'not-an-object-id' },
+    extraKey: { oid: '507f1f77bcf86cd799439011', where: 'sleep(1)' },
+    query: { gt: 1 },
+  });
+  assert.deepStrictEqual(sanitizeValue({ $numberInt: '2147483648' }, o), { numberInt: '2147483648' });
+  assert.deepStrictEqual(
+    sanitizeValue({ id: { $oid: '507f1f77bcf86cd799439011' } }, opts({ ejson: { action: 'keep', types: ['$date'] } })),
+    { id: { oid: '507f1f77bcf86cd799439011' } },
+  );
+});
+
+test('ejson — convert turns wrappers into values and reports them', () => {
+  const events = [];
+  const o = opts({
+    ejson: { action: 'convert', converters: { $oid: (hex) => `ObjectId(${hex})` } },
+    onSanitize: (e) => events.push(e),
+  });
+  const result = sanitizeValue(
+    {
+      id: { $oid: '507f1f77bcf86cd799439011' },
+      at: { $date: '2024-01-02T03:04:05Z' },
+      since: { $date: { $numberLong: '0' } },
+      count: { $numberLong: '9007199254740993' },
+      ratio: { $numberDouble: '-Infinity' },
+      price: { $numberDecimal: '9.99' },
+    },
+    o,
+  );
+  assert.strictEqual(result.id, 'ObjectId(507f1f77bcf86cd799439011)');
+  assert.deepStrictEqual(result.at, new Date('2024-01-02T03:04:05Z'));
+  assert.deepStrictEqual(result.since, new Date(0));
+  assert.strictEqual(result.count, 9007199254740993n);
+  assert.strictEqual(result.ratio, -Infinity);
+  assert.deepStrictEqual(result.price, { $numberDecimal: '9.99' });
+  assert.deepStrictEqual(
+    events.map((e) => [e.type, e.path]),
+    [
+      ['ejson', 'id'],
+      ['ejson', 'at'],
+      ['ejson', 'since'],
+      ['ejson', 'count'],
+      ['ejson', 'ratio'],
+    ],
+  );
+});
+
+test('ejson — wrappers count as scalars and are not rejected', () => {
+  const request = { body: { userId: { $oid: '507f1f77bcf86cd799439011' } } };
+  handleRequest(
+    request,
+    opts({ action: 'reject', ejson: { action: 'convert' }, scalarFields: { paths: ['body.userId'] } }),
+  );
+  assert.deepStrictEqual(request.body, { userId: { $oid: '507f1f77bcf86cd799439011' } });
+});
+
+test('resolveOptions — validates ejson', () => {
+  assert.throws(() => resolveOptions({ ejson: true }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ ejson: { action: 'parse' } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ ejson: { types: ['$regularExpression'] } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ ejson: { converters: { $oid: 'ObjectId' } } }), NoSQLSanitizeError);
+  assert.strictEqual(resolveOptions().ejson.action, 'off');
+});
+
+test('jsonStrings — JSON documents in strings at configured paths are sanitized', () => {
+  const events = [];
+  const o = opts({
+    jsonStrings: { paths: ['query.filter', 'body.items[*].meta'] },
+    deniedKeys: ['password'],
+    onSanitize: (e) => events.push(e),
+  });
+  const request = {
+    query: { filter: ' {"age":{"$gt":0},"password":"x"} ', sort: '{"$natural":1}' },
+    body: { items: [{ meta: '[1,{"$ne":null}]' }, { meta: '{not json' }] },
+  };
+  handleRequest(request, o);
+  assert.strictEqual(request.query.filter, '{"age":{"gt":0}}');
+  assert.strictEqual(request.query.sort, '{"natural":1}');
+  assert.strictEqual(request.body.items[0].meta, '[1,{"ne":null}]');
+  assert.strictEqual(request.body.items[1].meta, '{not json');
+
+  const inner = events.filter((e) => e.path.startsWith('query.filter'));
+  assert.deepStrictEqual(
+    inner.map((e) => [e.type, e.path]),
+    [
+      ['key', 'query.filter.age.$gt'],
+      ['remove', 'query.filter.password'],
+    ],
+  );
+});
+
+test('jsonStrings — output object replaces the string with the sanitized document', () => {
+  const request = { query: { filter: '{"a":{"$ne":1}}', name: '[]' } };
+  handleRequest(request, opts({ jsonStrings: { paths: ['query.*'], output: 'object' } }));
+  assert.deepStrictEqual(request.query, { filter: { a: { ne: 1 } }, name: [] });
+});
+
+test('jsonStrings — documents sanitizing leaves unchanged are kept as written', () => {
+  const clean = '{ "id": 12345678901234567890, "p": 1.50, "s": "\\u00e9" }';
+  const request = { query: { filter: clean, sort: '{ "id": 12345678901234567890, "$natural": 1 }' } };
+  handleRequest(request, opts({ jsonStrings: { paths: ['query.*'] } }));
+  assert.strictEqual(request.query.filter, clean);
+  assert.strictEqual(request.query.sort, '{"id":12345678901234567000,"natural":1}');
+});
+
+test('jsonStrings — nesting counts towards maxDepth', () => {
+  const o = opts({ jsonStrings: { paths: ['filter'], output: 'object' }, maxDepth: 2 });
+  assert.deepStrictEqual(sanitizeValue({ filter: '{"a":{"b":1},"c":1}' }, o), { filter: { c: 1 } });
+});
+
+test('jsonStrings — a document too deep to re-serialize is sanitized as plain text', () => {
+  const filter = '['.repeat(5000) + '"$x"' + ']'.repeat(5000);
+  const request = { query: { filter } };
+  handleRequest(request, opts({ jsonStrings: { paths: ['query.filter'] } }));
+  assert.strictEqual(request.query.filter, filter.replace('$', ''));
+});
+
+test('resolveOptions — validates jsonStrings', () => {
+  assert.throws(() => resolveOptions({ jsonStrings: ['query.filter'] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ jsonStrings: { paths: ['a..b'] } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ jsonStrings: { output: 'parsed' } }), NoSQLSanitizeError);
+});
+
+test('decoding — off by default', () => {
+  assert.deepStrictEqual(sanitizeValue({ a: '%24ne', b: '\\u0024where' }, opts()), { a: '%24ne', b: '\\u0024where' });
+});
+
+test('decoding — percent-encoded and escaped operators are sanitized once decoded', () => {
+  const events = [];
+  const o = opts({ decoding: { rounds: 2 }, onSanitize: (e) => events.push(e) });
+  const result = sanitizeValue(
+    { a: '%24ne', b: '\\u0024where', c: '%2524gt', d: '%252524gt', e: '100%25 done', '%24gt': 1 },
+    o,
+  );
+  assert.deepStrictEqual(result, { a: 'ne', b: 'where', c: 'gt', d: '%252524gt', e: '100%25 done', gt: 1 });
+  assert.deepStrictEqual(
+    events.filter((e) => e.type === 'value').map((e) => [e.path, e.originalValue, e.sanitizedValue]),
+    [
+      ['a', '%24ne', 'ne'],
+      ['b', '\\u0024where', 'where'],
+      ['c', '%2524gt', 'gt'],
+    ],
+  );
+});
+
+test('decoding — percent and unicodeEscapes can be turned off, and removeMatches sees decoded strings', () => {
+  const o = opts({ decoding: { rounds: 1, percent: false } });
+  assert.deepStrictEqual(sanitizeValue({ a: '%24ne', b: '\\u0024ne' }, o), { a: '%24ne', b: 'ne' });
+  assert.deepStrictEqual(
+    sanitizeValue({ a: '%24ne', b: 'ok' }, opts({ decoding: { rounds: 1 }, removeMatches: true })),
+    {
+      b: 'ok',
+    },
+  );
+});
+
+test('resolveOptions — validates decoding', () => {
+  assert.throws(() => resolveOptions({ decoding: 2 }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ decoding: { rounds: -1 } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ decoding: { rounds: 1.5 } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ decoding: { percent: 'yes' } }), NoSQLSanitizeError);
+});
+
+test('unicode — off by default: lookalikes and invisible characters pass through', () => {
+  const input = { '＄gt': 1, a: '﹩where', b: 'x\u200By' };
+  assert.deepStrictEqual(sanitizeValue(input, opts()), input);
+});
+
+test('unicode — normalizes, catches dollar lookalikes and strips invisible characters', () => {
+  const o = opts({ unicode: { enabled: true } });
+  const result = sanitizeValue(
+    { '＄gt': 1, a: '﹩where', b: 'x\u200By', c: '\u202Egnp.exe', d: 'ｗｈｅｒｅ', ['k\u200D']: 2 },
+    o,
+  );
+  assert.deepStrictEqual(result, { gt: 1, a: 'where', b: 'xy', c: 'gnp.exe', d: 'where', k: 2 });
+
+  // Without NFKC, the lookalike pattern still catches both dollar signs
+  const raw = opts({ unicode: { enabled: true, normalize: false } });
+  assert.deepStrictEqual(sanitizeValue({ a: '＄ne', b: 'ｗ' }, raw), { a: 'ne', b: 'ｗ' });
+});
+
+test('unicode — deniedKeys and allowedKeys match the key as written', () => {
+  const input = { 'ro\u200Ble': 'admin', $role: 'admin', 'na\u200Bme': 'x' };
+  for (const keyMatching of ['exact', 'normalized']) {
+    const denied = opts({ unicode: { enabled: true }, deniedKeys: ['role'], keyMatching });
+    assert.deepStrictEqual(sanitizeValue(input, denied), { name: 'x' });
+  }
+  const allowed = opts({ unicode: { enabled: true }, allowedKeys: ['name'] });
+  assert.deepStrictEqual(sanitizeValue(input, allowed), { name: 'x' });
+});
+
+test('unicode — flag keeps invisible characters and reports them', () => {
+  const events = [];
+  const o = opts({ unicode: { enabled: true, invisible: 'flag' }, onSanitize: (e) => events.push(e) });
+  const input = { b: 'x\u200By', ['k\u200D']: 1 };
+  assert.deepStrictEqual(sanitizeValue(input, o), input);
+  assert.deepStrictEqual(
+    events.map((e) => [e.type, e.key]),
+    [
+      ['unicode', 'b'],
+      ['unicode', 'k\u200D'],
+    ],
+  );
+  assert.throws(
+    () =>
+      handleRequest(
+        { body: { name: 'a\u202Eb' } },
+        opts({ action: 'reject', unicode: { enabled: true, invisible: 'flag' } }),
+      ),
+    (err) => err.type === 'rejected' && err.paths[0] === 'body.name',
+  );
+});
+
+test('resolveOptions — validates unicode', () => {
+  assert.throws(() => resolveOptions({ unicode: true }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ unicode: { enabled: 'yes' } }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ unicode: { invisible: 'remove' } }), NoSQLSanitizeError);
+});
+
+test('keyPatterns / valuePatterns — keys and values use their own patterns', () => {
+  const o = resolveOptions({
+    valuePatterns: [/\$(?=[A-Za-z_])/g, /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g],
+  });
+  const result = sanitizeValue({ 'note\n$x': 'line 1\n\tline 2\u0000', price: '$5.00', op: '$gt' }, o);
+  assert.deepStrictEqual({ ...result }, { notex: 'line 1\n\tline 2', price: '$5.00', op: 'gt' });
+  assert.deepStrictEqual({ ...sanitizeValue({ 'a\tb': 'a\tb' }, o) }, { ab: 'a\tb' });
+});
+
+test('keyPatterns / valuePatterns — fall back to patterns and apply to removeMatches', () => {
+  const o = resolveOptions({ patterns: [/x/g], keyPatterns: [/k/g], removeMatches: true });
+  assert.strictEqual(o._keyRules.groups[0].regex.source, 'k');
+  assert.strictEqual(o._valueRules.groups[0].regex.source, 'x');
+  assert.deepStrictEqual({ ...sanitizeValue({ kx: 'a', a: 'x', b: 'k' }, o) }, { b: 'k' });
+});
+
+test('keyPatterns / valuePatterns — can be overridden per path and are validated', () => {
+  const o = resolveOptions({ rules: { bio: { valuePatterns: [/\$/g] } } });
+  assert.deepStrictEqual({ ...sanitizeValue({ bio: 'a\nb$', name: 'a\nb$' }, o) }, { bio: 'a\nb', name: 'ab' });
+  assert.throws(() => resolveOptions({ keyPatterns: ['$'] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ valuePatterns: /\$/g }), NoSQLSanitizeError);
+  const none = resolveOptions({ valuePatterns: [], removeMatches: true });
+  assert.deepStrictEqual({ ...sanitizeValue({ a: '$b' }, none) }, { a: '$b' });
+});
+
+test('valueMode — operators mode only sanitizes values that look like operator payloads', () => {
+  const o = resolveOptions({ valueMode: 'operators' });
+  const result = sanitizeValue(
+    { $k: 'Total: $5.00\n', price: '$5.00', tpl: 'Hi ${name}', op: '$where', json: '{"$gt": ""}' },
+    o,
+  );
+  assert.deepStrictEqual(
+    { ...result },
+    { k: 'Total: $5.00\n', price: '$5.00', tpl: 'Hi ${name}', op: 'where', json: '{"gt": ""}' },
+  );
+  assert.strictEqual(sanitizeString('$ne', o, true), 'ne');
+  assert.strictEqual(sanitizeString('$5', o, false), '5');
+  assert.strictEqual(sanitizeString('$5', resolveOptions(), true), '5');
+});
+
+test('valueMode — removeMatches drops operator payloads, including $where-style JavaScript', () => {
+  const events = [];
+  const o = resolveOptions({ valueMode: 'operators', removeMatches: true, onSanitize: (e) => events.push(e) });
+  const input = { a: 'sleep(5000)', b: 'this.password.match(/^a/)', c: ' $gt', d: 'costs $5', e: 'a function of x' };
+  assert.deepStrictEqual({ ...sanitizeValue(input, o) }, { d: 'costs $5', e: 'a function of x' });
+  assert.deepStrictEqual(
+    events.map((e) => e.reason),
+    ['removeMatches', 'removeMatches', 'removeMatches'],
+  );
+});
+
+test('valueMode — can be overridden per path and is validated', () => {
+  const o = resolveOptions({ rules: { 'amounts[*]': { valueMode: 'operators' } } });
+  assert.deepStrictEqual(
+    { ...sanitizeValue({ amounts: ['$5', '$in'], note: '$5' }, o) },
+    { amounts: ['$5', 'in'], note: '5' },
+  );
+  assert.throws(() => resolveOptions({ valueMode: 'keys' }), NoSQLSanitizeError);
+});
+
+test('preserve — built-in formats are left unsanitized', () => {
+  const o = resolveOptions({
+    preserve: ['email', 'url', 'uuid', 'isoDate', 'currency', 'phone'],
+    stringOptions: { lowercase: true },
+  });
+  const values = [
+    'https://example.com/search?q=$term',
+    '0F8FAD5B-D9CB-469F-A165-70867728950E',
+    '2024-02-29',
+    '2024-02-29T10:00:00.000Z',
+    '$1,234.56',
+    '12 €',
+    '+1 (555) 123-4567',
+  ];
+  for (const value of values) assert.strictEqual(sanitizeString(value, o, true), value);
+  assert.strictEqual(sanitizeString('$gt', o, true), 'gt');
+  assert.strictEqual(sanitizeString('javascript:$x', o, true), 'javascript:x');
+  assert.strictEqual(sanitizeString('$5.00', resolveOptions(), true), '5.00');
+});
+
+test('preserve — custom predicates and RegExps, keys are never preserved', () => {
+  const o = resolveOptions({ preserve: [/^\$ref:/, (v) => v.startsWith('tpl:')] });
+  const result = sanitizeValue({ a: '$ref:users', b: 'tpl:${x}', c: '$x', '$ref:k': 1, d: 'me@example.com' }, o);
+  assert.deepStrictEqual({ ...result }, { a: '$ref:users', b: 'tpl:${x}', c: 'x', 'ref:k': 1, d: 'me@example.com' });
+});
+
+test('preserve — an empty list sanitizes emails too', () => {
+  const none = resolveOptions({ preserve: [], patterns: [/@/g] });
+  assert.strictEqual(sanitizeString('me@example.com', none, true), 'meexample.com');
+});
+
+test('preserve — a preserved format does not lift a deniedKeys denial', () => {
+  const o = resolveOptions({ preserve: ['uuid', 'phone'], deniedKeys: ['ownerId', 'role'] });
+  const input = { ownerId: '0f8fad5b-d9cb-469f-a165-70867728950e', role: '12345678', name: 'a' };
+  assert.deepStrictEqual({ ...sanitizeValue(input, o) }, { name: 'a' });
+});
+
+test('preserve — can be overridden per path and is validated', () => {
+  const o = resolveOptions({ rules: { price: { preserve: ['currency'] } } });
+  assert.deepStrictEqual({ ...sanitizeValue({ price: '$5', tip: '$5' }, o) }, { price: '$5', tip: '5' });
+  assert.throws(() => resolveOptions({ preserve: ['ipv4'] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ preserve: 'email' }), NoSQLSanitizeError);
+});
+
+test('named rules — flags are kept and each rule can replace with its own string', () => {
+  const o = resolveOptions({
+    patterns: [
+      /\$/g,
+      { name: 'where', pattern: /where/i, replaceWith: '[where]' },
+      { name: 'dotAll', pattern: /<!--.*-->/s, replaceWith: '' },
+    ],
+  });
+  assert.strictEqual(o._keyRules.groups.length, 3);
+  assert.strictEqual(sanitizeString('$WHERE <!--a\nb-->x', o, true), '[where] x');
+  assert.strictEqual(sanitizeString('$Where', o, false), '[where]');
+});
+
+test('named rules — appliesTo restricts a rule to keys or values', () => {
+  const o = resolveOptions({
+    patterns: [
+      { name: 'dollar', pattern: /\$/g, appliesTo: 'key' },
+      { name: 'control', pattern: /[\u0000-\u001F]/g, appliesTo: 'value', replaceWith: ' ' },
+    ],
+  });
+  assert.deepStrictEqual({ ...sanitizeValue({ $price: '$5\t1' }, o) }, { price: '$5 1' });
+});
+
+test('named rules — events and logs report the matching rules', () => {
+  const events = [];
+  const logs = [];
+  const o = resolveOptions({
+    patterns: [
+      { name: 'operator', pattern: /\$/g, severity: 'high' },
+      { name: 'nul', pattern: /\u0000/g, severity: 'low' },
+    ],
+    onSanitize: (e) => events.push(e),
+    debug: { enabled: true, level: 'warn' },
+  });
+  const original = console.log;
+  console.log = (...args) => logs.push(args.join(' '));
+  try {
+    sanitizeValue({ $a: 'x\u0000', b: '$c' }, o);
+  } finally {
+    console.log = original;
+  }
+  assert.deepStrictEqual(
+    events.map((e) => [e.type, e.rules]),
+    [
+      ['value', [{ name: 'nul', severity: 'low' }]],
+      ['key', [{ name: 'operator', severity: 'high' }]],
+      ['value', [{ name: 'operator', severity: 'high' }]],
+    ],
+  );
+  assert.strictEqual(logs.filter((line) => line.includes("Rule 'operator' (high) matched")).length, 2);
+  assert.strictEqual(logs.filter((line) => line.includes("Rule 'nul'")).length, 0);
+
+  const removed = [];
+  const r = resolveOptions({
+    patterns: [{ name: 'operator', pattern: /\$/g }],
+    removeMatches: true,
+    onSanitize: (e) => removed.push(e),
+  });
+  sanitizeValue({ $a: 1 }, r);
+  assert.deepStrictEqual(removed[0].rules, [{ name: 'operator', severity: 'medium' }]);
+});
+
+test('named rules — are validated', () => {
+  assert.throws(() => resolveOptions({ patterns: [{ pattern: /\$/g }] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ patterns: [{ name: 'x', pattern: '$' }] }), NoSQLSanitizeError);
+  assert.throws(
+    () => resolveOptions({ patterns: [{ name: 'x', pattern: /x/, severity: 'urgent' }] }),
+    NoSQLSanitizeError,
+  );
+  assert.throws(
+    () => resolveOptions({ patterns: [{ name: 'x', pattern: /x/, appliesTo: 'both' }] }),
+    NoSQLSanitizeError,
+  );
+  assert.throws(() => resolveOptions({ valuePatterns: [{ name: 'x', pattern: /x/, flags: 'i' }] }), NoSQLSanitizeError);
+  assert.throws(() => resolveOptions({ patterns: ['$'] }), NoSQLSanitizeError);
+});
+
 test('onSanitize — called for each sanitized string value', () => {
   const calls = [];
   const o = opts({
@@ -507,6 +1968,148 @@ test('onSanitize — null means no callback', () => {
   assert.doesNotThrow(() => sanitizeObject({ a: '$b' }, o, 0));
 });
 
+test('onSanitize — reports full nested path and JSON pointer', () => {
+  const calls = [];
+  const o = opts({ onSanitize: (info) => calls.push(info) });
+  sanitizeValue({ filters: [{ name: 'ok' }, { name: 'ok' }, { name: '$admin' }] }, o);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].key, 'name');
+  assert.strictEqual(calls[0].path, 'filters[2].name');
+  assert.strictEqual(calls[0].pointer, '/filters/2/name');
+  assert.strictEqual(calls[0].source, null);
+});
+
+test('onSanitize — handleRequest roots paths at the request field', () => {
+  const calls = [];
+  const o = opts({ onSanitize: (info) => calls.push(info) });
+  const req = { body: { user: { password: { $ne: '$x' } } }, query: { q: '$y' } };
+  handleRequest(req, o);
+  assert.deepStrictEqual(
+    calls.map(({ type, path, pointer, source }) => ({ type, path, pointer, source })),
+    [
+      { type: 'value', path: 'body.user.password.$ne', pointer: '/body/user/password/$ne', source: 'body' },
+      { type: 'key', path: 'body.user.password.$ne', pointer: '/body/user/password/$ne', source: 'body' },
+      { type: 'value', path: 'query.q', pointer: '/query/q', source: 'query' },
+    ],
+  );
+});
+
+test('onSanitize — value events carry type and fire for array elements', () => {
+  const calls = [];
+  const o = opts({ onSanitize: (e) => calls.push(e) });
+  sanitizeValue({ tags: ['ok', '$bad'] }, o);
+  assert.deepStrictEqual(
+    calls.map(({ type, path, originalValue, sanitizedValue }) => ({ type, path, originalValue, sanitizedValue })),
+    [{ type: 'value', path: 'tags[1]', originalValue: '$bad', sanitizedValue: 'bad' }],
+  );
+});
+
+test('onSanitize — key event for renamed keys', () => {
+  const calls = [];
+  const o = opts({ onSanitize: (e) => calls.push(e) });
+  sanitizeValue({ password: { $ne: '' } }, o);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].type, 'key');
+  assert.strictEqual(calls[0].path, 'password.$ne');
+  assert.strictEqual(calls[0].originalValue, '$ne');
+  assert.strictEqual(calls[0].sanitizedValue, 'ne');
+});
+
+test('onSanitize — remove events carry the reason', () => {
+  const removed = (options, input) => {
+    const calls = [];
+    sanitizeValue(input, opts({ ...options, onSanitize: (e) => calls.push(e) }));
+    return calls.filter((e) => e.type === 'remove').map(({ path, reason }) => ({ path, reason }));
+  };
+
+  assert.deepStrictEqual(removed({ deniedKeys: ['role'] }, { role: 'admin', name: 'x' }), [
+    { path: 'role', reason: 'deniedKeys' },
+  ]);
+  assert.deepStrictEqual(removed({ allowedKeys: ['name'] }, { role: 'admin', name: 'x' }), [
+    { path: 'role', reason: 'allowedKeys' },
+  ]);
+  assert.deepStrictEqual(removed({ removeMatches: true }, { $where: 'x', name: '$x', ok: 'y' }), [
+    { path: '$where', reason: 'removeMatches' },
+    { path: 'name', reason: 'removeMatches' },
+  ]);
+  assert.deepStrictEqual(removed({ removeEmpty: true }, { a: '', b: null, c: 'ok' }), [
+    { path: 'a', reason: 'removeEmpty' },
+    { path: 'b', reason: 'removeEmpty' },
+  ]);
+  assert.deepStrictEqual(
+    removed({ arrayOptions: { filterNull: true, distinct: true } }, { l: ['a', null, 'a', 'b'] }),
+    [
+      { path: 'l[1]', reason: 'filterNull' },
+      { path: 'l[2]', reason: 'distinct' },
+    ],
+  );
+});
+
+test('onSanitize — truncate event reports the cut', () => {
+  const calls = [];
+  const o = opts({ stringOptions: { maxLength: 5 }, onSanitize: (e) => calls.push(e) });
+  sanitizeValue({ bio: 'hello world' }, o);
+  assert.deepStrictEqual(
+    calls.map(({ type, originalValue, sanitizedValue }) => ({ type, originalValue, sanitizedValue })),
+    [
+      { type: 'truncate', originalValue: 'hello world', sanitizedValue: 'hello' },
+      { type: 'value', originalValue: 'hello world', sanitizedValue: 'hello' },
+    ],
+  );
+});
+
+test('onSanitize — maxDepth event for subtrees left untraversed', () => {
+  const calls = [];
+  const o = opts({ maxDepth: 1, maxDepthAction: 'passThrough', onSanitize: (e) => calls.push(e) });
+  sanitizeValue({ nested: { $gt: 1 } }, o);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].type, 'maxDepth');
+  assert.strictEqual(calls[0].path, 'nested');
+  assert.deepStrictEqual(calls[0].originalValue, { $gt: 1 });
+});
+
+test('formatPath / formatPointer — escape non-identifier keys', () => {
+  const path = createPath(createPath(createPath(null, 'body', 'body'), 'a.b'), 'x/y~z');
+  assert.deepStrictEqual(pathSegments(path), ['body', 'a.b', 'x/y~z']);
+  assert.strictEqual(formatPath(path), 'body["a.b"]["x/y~z"]');
+  assert.strictEqual(formatPointer(path), '/body/a.b/x~1y~0z');
+  assert.strictEqual(formatPath(null), '');
+  assert.strictEqual(formatPointer(null), '');
+});
+
+test('formatPath / formatPointer — label Map keys that are not strings or numbers', () => {
+  const events = [];
+  const input = new Map([
+    [Symbol('k'), '$a'],
+    [{ x: 1 }, { $gt: 1 }],
+  ]);
+  sanitizeValue({ m: input }, opts({ onSanitize: (e) => events.push(e) }));
+  assert.deepStrictEqual(
+    events.map(({ path, pointer }) => [path, pointer]),
+    [
+      ['m[Symbol(k)]', '/m/Symbol(k)'],
+      ['m[[object Object]].$gt', '/m/[object Object]/$gt'],
+    ],
+  );
+});
+
+test('formatPath / formatPointer — cached per node, and formatted lazily on events', () => {
+  const parent = createPath(createPath(null, 'body', 'body'), 'items');
+  assert.strictEqual(formatPath(createPath(parent, 0)), 'body.items[0]');
+  assert.strictEqual(parent.formattedPath, 'body.items');
+  assert.strictEqual(formatPointer(createPath(parent, 'a/b')), '/body/items/a~1b');
+  assert.strictEqual(parent.formattedPointer, '/body/items');
+
+  const depth = 10000;
+  const events = [];
+  const input = JSON.parse('{"$a":'.repeat(depth) + '1' + '}'.repeat(depth));
+  sanitizeValue(input, opts({ onSanitize: (e) => events.push(e) }));
+  assert.strictEqual(events.length, depth);
+  assert.strictEqual(events[0].path, Array(depth).fill('$a').join('.'));
+  assert.strictEqual(events[depth - 1].path, '$a');
+  assert.strictEqual(JSON.parse(JSON.stringify(events[depth - 1])).pointer, '/$a');
+});
+
 test('handleRequest — skips body when content-type not in allowed list', () => {
   const o = opts({ sanitizeObjects: ['body', 'query'] });
   const req = {
@@ -19,6 +19,346 @@ declare namespace noSQLSanitizeCore {
     distinct?: boolean;
   }
 
+  export interface AllowedOperator {
+    /** Operator key, e.g. `'$in'`. */
+    operator: string;
+    /** Path prefixes the operator is allowed under, e.g. `['body.search']`. */
+    paths: string[];
+  }
+
+  /**
+   * Options a path-scoped rule may override. Nested objects (`stringOptions`,
+   * `arrayOptions`, `dotNotation`) are merged over the request-wide ones.
+   */
+  export type RuleOptions = Pick<
+    SanitizeOptions,
+    | 'replaceWith'
+    | 'removeMatches'
+    | 'removeEmpty'
+    | 'patterns'
+    | 'keyPatterns'
+    | 'valuePatterns'
+    | 'valueMode'
+    | 'preserve'
+    | 'allowedKeys'
+    | 'deniedKeys'
+    | 'keyMatching'
+    | 'allowedOperators'
+    | 'stringOptions'
+    | 'arrayOptions'
+    | 'dotNotation'
+  >;
+
+  /** A compiled `allowedKeys` / `deniedKeys` list. */
+  export interface ResolvedKeyList {
+    /** Exact names, folded per `keyMatching`. */
+    exact: Set<string>;
+    /** Compiled globs and RegExps. */
+    regex: RegExp[];
+    keyMatching: 'exact' | 'caseInsensitive' | 'normalized';
+  }
+
+  /** Per-route field lists, matched against the request path and method. */
+  export interface RouteFields {
+    /** Exact route (`:name` segments match any single segment) or RegExp, e.g. `'/users/:id'`. */
+    route: string | RegExp;
+    /** HTTP methods the entry applies to (any if omitted), e.g. `['PUT', 'PATCH']`. */
+    methods?: string[];
+    /** Whitelist for this route; replaces the request-wide `allowedPaths`. */
+    allowedPaths?: string[];
+    /** Extra server-owned paths for this route; added to the request-wide `deniedPaths`. */
+    deniedPaths?: string[];
+  }
+
+  /** A compiled `routeFields` entry. */
+  export interface ResolvedRoute {
+    route: RegExp;
+    methods: Set<string> | null;
+    options: ResolvedOptions;
+  }
+
+  /** A compiled path-scoped rule. */
+  export interface ResolvedRule {
+    pattern: string;
+    segments: Array<string | number | symbol>;
+    wildcards: number;
+    options: ResolvedOptions;
+  }
+
+  export interface RejectOptions {
+    /** HTTP status code attached to the rejection error. @default 400 */
+    statusCode?: number;
+    /**
+     * Reply body used by the Fastify plugin when a request is rejected.
+     * A static object, or a function building one from the error.
+     * `null` uses `{ statusCode, error, message, paths }`.
+     * Express passes the error to `next(err)` instead, so this is ignored there.
+     * @default null
+     */
+    body?: Record<string, any> | ((error: NoSQLSanitizeError, request: any) => any) | null;
+    /**
+     * How many events a rejection error (and a `'report'` result) keeps; the rest are only
+     * counted, in the error's `omitted`. @default 100
+     */
+    maxEvents?: number;
+  }
+
+  export interface PrototypePollutionOptions {
+    /**
+     * What to do with prototype keys (checked before and after sanitization).
+     * - `'drop'` — remove the key.
+     * - `'rename'` — keep the value under `renamePrefix + key`.
+     * - `'reject'` — fail the request with a `NoSQLSanitizeError` (type `'rejected'`).
+     * @default 'drop'
+     */
+    action?: 'drop' | 'rename' | 'reject';
+    /** Keys treated as prototype keys. @default ['__proto__', 'constructor', 'prototype'] */
+    keys?: string[];
+    /** Prefix used by `action: 'rename'`. Must not be empty. @default '_' */
+    renamePrefix?: string;
+    /** Build sanitized objects with `Object.create(null)`. @default false */
+    nullPrototype?: boolean;
+  }
+
+  export interface DotNotationOptions {
+    /**
+     * What to do with keys containing `.` (MongoDB reads `"profile.role"` as a nested path).
+     * Independent of the top-level `replaceWith`.
+     * - `'keep'` — leave them alone.
+     * - `'strip'` — remove the dots: `"profile.role"` → `"profilerole"`.
+     * - `'replace'` — replace each dot with `replaceWith`.
+     * - `'reject'` — fail the request with a `NoSQLSanitizeError` (type `'rejected'`).
+     * @default 'keep'
+     */
+    action?: 'keep' | 'strip' | 'replace' | 'reject';
+    /** Replacement used by `action: 'replace'`. Must not contain `.`. @default '_' */
+    replaceWith?: string;
+    /** Keys where dotted paths are legitimately expected. @default [] */
+    allow?: string[];
+  }
+
+  export interface ScalarFieldsOptions {
+    /**
+     * Paths that must hold a string, number, boolean or null, e.g. `'body.password'`,
+     * `'query.id'`, `'body.ids[*]'`. Same syntax as `rules` patterns.
+     * @default []
+     */
+    paths?: string[];
+    /**
+     * What to do with an object or array found at one of `paths`.
+     * - `'reject'` — fail the request with a `NoSQLSanitizeError` (type `'rejected'`).
+     * - `'stringify'` — replace it with its sanitized `JSON.stringify()` form; rejected when it cannot be serialized.
+     * - `'drop'` — remove the key (or array element).
+     * @default 'reject'
+     */
+    action?: 'reject' | 'stringify' | 'drop';
+  }
+
+  export type PatternSeverity = 'low' | 'medium' | 'high' | 'critical';
+
+  /**
+   * A named pattern rule, accepted wherever a RegExp is in `patterns`, `keyPatterns` and
+   * `valuePatterns`. Its flags are kept, and its name is reported in events and logs.
+   */
+  export interface PatternRule {
+    name: string;
+    pattern: RegExp;
+    /** Replacement for this rule's matches. @default the `replaceWith` option */
+    replaceWith?: string;
+    /** Log level when the rule matches: low → debug, medium → info, high → warn, critical → error. @default 'medium' */
+    severity?: PatternSeverity;
+    /** Only apply the rule to keys or to values. @default both */
+    appliesTo?: 'key' | 'value';
+  }
+
+  /** `patterns` compiled for keys or values: one global regex per flag set. */
+  export interface CompiledPatternRules {
+    groups: Array<{
+      regex: RegExp;
+      rules: Array<{
+        name: string | null;
+        severity: PatternSeverity | null;
+        replaceWith: string | null;
+        sticky: RegExp;
+      }>;
+      /** Whether a rule of the group has its own `replaceWith`. */
+      custom: boolean;
+    }>;
+    named: Array<{
+      name: string;
+      severity: PatternSeverity;
+      replaceWith: string | null;
+      sticky: RegExp;
+      regex: RegExp;
+    }>;
+  }
+
+  /** A named pattern rule that matched, as reported in events. */
+  export interface MatchedPatternRule {
+    name: string;
+    severity: PatternSeverity;
+  }
+
+  /** Built-in value formats for `preserve`. */
+  export type PreserveFormat = 'email' | 'url' | 'uuid' | 'isoDate' | 'currency' | 'phone';
+
+  export interface UnicodeOptions {
+    /**
+     * Unicode-aware matching of keys and values. Adds the dollar-sign lookalikes
+     * U+FF04 (＄) and U+FE69 (﹩) to the patterns. @default false
+     */
+    enabled?: boolean;
+    /** NFKC-normalize strings first, so `ｗｈｅｒｅ` becomes `where`. @default true */
+    normalize?: boolean;
+    /**
+     * Zero-width and bidirectional control characters (U+200B–U+200F, U+202A–U+202E, ...):
+     * - `'strip'` — remove them.
+     * - `'flag'` — leave them and emit a `unicode` event, which `action: 'reject'` rejects.
+     * @default 'strip'
+     */
+    invisible?: 'strip' | 'flag';
+  }
+
+  export interface DecodingOptions {
+    /**
+     * How many times percent-encoding / `\uXXXX` escapes are undone before strings (keys
+     * and values) are matched against the patterns; `0` turns decoding off. A string whose
+     * decoded form matches is sanitized in that form: `"%2524gt"` needs 2 rounds to become `"gt"`.
+     * @default 0
+     */
+    rounds?: number;
+    /** Decode percent-encoding (`%24` → `$`). @default true */
+    percent?: boolean;
+    /** Decode JSON unicode escapes (`\u0024` → `$`). @default true */
+    unicodeEscapes?: boolean;
+  }
+
+  export interface JsonStringsOptions {
+    /**
+     * Paths whose string values may hold a JSON object or array, e.g. `'query.filter'`.
+     * Such a string is parsed and sanitized like the document it holds, its members
+     * reported below the path (`query.filter.age.$gt`). Same syntax as `rules` patterns.
+     * @default []
+     */
+    paths?: string[];
+    /**
+     * What replaces the string: the sanitized document re-serialized with `JSON.stringify()`,
+     * or the sanitized document itself. Strings that are not valid JSON are sanitized as usual.
+     * @default 'string'
+     */
+    output?: 'string' | 'object';
+  }
+
+  /** Sizes observed while sanitizing, reported through `limits.onStats`. */
+  export interface LimitStats {
+    /** Keys and array elements visited. */
+    nodes: number;
+    /** Largest key count of a single object. */
+    maxKeys: number;
+    /** Longest array. */
+    maxArrayLength: number;
+    /** Longest key. */
+    maxKeyLength: number;
+    /** Longest string value. */
+    maxStringLength: number;
+    /** How often each limit was exceeded. */
+    exceeded: Record<LimitName, number>;
+  }
+
+  export interface LimitsOptions {
+    /** Keys per object. @default null */
+    maxKeys?: number | null;
+    /** Elements per array. @default null */
+    maxArrayLength?: number | null;
+    /** Characters per key; longer keys are dropped. @default null */
+    maxKeyLength?: number | null;
+    /** Keys and array elements across the whole request (or standalone call). @default null */
+    maxNodes?: number | null;
+    /** Characters per string value, enforced before pattern matching. @default null */
+    maxStringLength?: number | null;
+    /**
+     * `'truncate'` cuts the payload down to the limits; `'reject'` fails the request
+     * with a `NoSQLSanitizeError` (type `'rejected'`).
+     * @default 'truncate'
+     */
+    action?: 'truncate' | 'reject';
+    /** Called with the observed sizes after each request (or standalone call). @default null */
+    onStats?: ((stats: LimitStats) => void) | null;
+  }
+
+  export interface KeyCollisionOptions {
+    /**
+     * What to do when a sanitized key (`$name` → `name`) lands on a key already written.
+     * - `'keepOriginal'` — the key sent as `name` wins, whatever the order.
+     * - `'keepFirst'` — whichever key came first wins.
+     * - `'suffix'` — keep both; the renamed one moves to `name_1` (`name_2`, ...).
+     * - `'reject'` — fail the request with a `NoSQLSanitizeError` (type `'rejected'`).
+     * @default 'keepOriginal'
+     */
+    action?: 'keepOriginal' | 'keepFirst' | 'suffix' | 'reject';
+    /** Separator before the counter with `action: 'suffix'`. @default '_' */
+    suffix?: string;
+  }
+
+  /**
+   * How values that are neither plain objects nor arrays are handled. Matched by `type`
+   * (`value instanceof type`) or by `test`; give exactly one of them.
+   * - `'traverse'` — sanitize the members: Map entries, Set elements, or own enumerable
+   *   properties of a class instance (the copy keeps its prototype).
+   * - `'preserve'` — keep the value as it is.
+   * - `'reject'` — drop it with a `remove` event (reason `'typeHandlers'`); in `sanitize`
+   *   action the request fails with a `NoSQLSanitizeError` (type `'rejected'`).
+   */
+  export interface TypeHandler {
+    /** Name used in logs. @default type.name, or 'custom' */
+    name?: string;
+    type?: abstract new (...args: any[]) => unknown;
+    test?: (value: object) => boolean;
+    action: 'traverse' | 'preserve' | 'reject';
+  }
+
+  /** Extended JSON wrapper keys `ejson` can recognize. */
+  export type EjsonType =
+    | '$oid'
+    | '$date'
+    | '$numberInt'
+    | '$numberLong'
+    | '$numberDouble'
+    | '$numberDecimal'
+    | '$binary'
+    | '$timestamp'
+    | '$uuid';
+
+  export interface EjsonOptions {
+    /**
+     * What to do with an object that is exactly an Extended JSON wrapper with valid content,
+     * e.g. `{ "$oid": "507f1f77bcf86cd799439011" }`. Anything else is sanitized as usual.
+     * - `'off'` — no special treatment: `$oid` becomes `oid` like any `$` key.
+     * - `'keep'` — keep the wrapper as it is.
+     * - `'convert'` — replace it with a value: `$date` → `Date`, `$numberInt` / `$numberDouble`
+     *   → `number`, `$numberLong` → `bigint`, plus any of `converters`; other wrappers are kept.
+     * @default 'off'
+     */
+    action?: 'off' | 'keep' | 'convert';
+    /** Wrappers to recognize. @default every EjsonType */
+    types?: EjsonType[];
+    /** Conversions by wrapper key, called with the wrapper's content, e.g. `{ $oid: (hex) => new ObjectId(hex) }`. @default {} */
+    converters?: Partial<Record<EjsonType, (value: any) => unknown>>;
+  }
+
+  export interface CircularOptions {
+    /**
+     * What to do with a reference back to an object/array that is still being sanitized.
+     * - `'throw'` — throw a `NoSQLSanitizeError` (type `'circular'`).
+     * - `'marker'` — replace the reference with `marker`.
+     * - `'preserve'` — point at the sanitized copy, so the output has the same cycle.
+     * @default 'throw'
+     */
+    action?: 'throw' | 'marker' | 'preserve';
+    /** Replacement value with `action: 'marker'`. @default '[Circular]' */
+    marker?: unknown;
+  }
+
   export interface DebugOptions {
     /** Enable debug logging. @default false */
     enabled?: boolean;
@@ -33,19 +373,185 @@ declare namespace noSQLSanitizeCore {
   }
 
   /**
-   * Event emitted by the `onSanitize` callback when a value is changed.
+   * Parent-linked location of a value inside the sanitized input.
+   * Created with `createPath()`; format with `formatPath()` / `formatPointer()`.
+   */
+  export interface SanitizePath {
+    parent: SanitizePath | null;
+    /** Object key or array index; a Map key of any other type is formatted by its tag (`Symbol(k)`, `[object Object]`). */
+    key: string | number;
+    /** Request field the traversal started from (e.g. `'body'`), or `null`. */
+    source: string | null;
+    /** New name of a key the sanitizer renamed; path patterns match either name. */
+    outputKey?: string;
+    /** `formatPath()` result, cached on first use. */
+    formattedPath: string | undefined;
+    /** `formatPointer()` result, cached on first use. */
+    formattedPointer: string | undefined;
+  }
+
+  /**
+   * Kind of modification reported by an `onSanitize` event.
+   * - `value`    — a string value changed (overall before/after).
+   * - `key`      — an object key was renamed, e.g. `$gt` → `gt`.
+   * - `remove`   — a key or array element was dropped (see `reason`).
+   * - `truncate` — a string value was cut to `stringOptions.maxLength`.
+   * - `maxDepth` — a nested object/array past `maxDepth` was handled per `maxDepthAction`.
+   * - `coerce`   — an object/array at a `scalarFields` path was stringified.
+   * - `collision` — a sanitized key collided with one already written (see `keyCollision`).
+   * - `limit`    — a payload limit was exceeded (see `limits` and `reason`).
+   * - `circular` — a circular reference was replaced with `circular.marker`.
+   * - `ejson`    — an Extended JSON wrapper was converted (see `ejson`); never a rejection.
+   * - `unicode`  — a key or value holds invisible characters (`unicode.invisible: 'flag'`).
    */
-  export interface SanitizeEvent {
-    /** The object key that was sanitized. */
-    key: string;
-    /** The original value before sanitization. */
+  export type SanitizeEventType =
+    | 'value'
+    | 'key'
+    | 'remove'
+    | 'truncate'
+    | 'maxDepth'
+    | 'coerce'
+    | 'collision'
+    | 'limit'
+    | 'circular'
+    | 'ejson'
+    | 'unicode';
+
+  /** Names of the `limits` size checks. */
+  export type LimitName = 'maxKeys' | 'maxArrayLength' | 'maxKeyLength' | 'maxNodes' | 'maxStringLength';
+
+  /** Why a `remove` event dropped a key or element. */
+  export type RemoveReason =
+    | 'deniedKeys'
+    | 'allowedKeys'
+    | 'removeMatches'
+    | 'removeEmpty'
+    | 'filterNull'
+    | 'distinct'
+    | 'prototypePollution'
+    | 'dotNotation'
+    | 'scalarFields'
+    | 'deniedPaths'
+    | 'allowedPaths'
+    | 'typeHandlers';
+
+  interface BaseSanitizeEvent {
+    type: SanitizeEventType;
+    /** The object key (or array index) the change applies to. */
+    key: string | number;
+    /** Full location in the original input, e.g. `'body.filters[2].name'`. */
+    path: string;
+    /** The same location as a JSON Pointer, e.g. `'/body/filters/2/name'`. */
+    pointer: string;
+    /** Request field the value came from (`'body'`, `'query'`, ...), or `null` when called standalone. */
+    source: string | null;
+    /** Named pattern rules that matched (`value`, `key` and `removeMatches` events), when there are some. */
+    rules?: MatchedPatternRule[];
+  }
+
+  export interface ValueSanitizeEvent extends BaseSanitizeEvent {
+    type: 'value';
     originalValue: string;
-    /** The value after sanitization. */
     sanitizedValue: string;
-    /** Path to the sanitized key (currently same as `key`). */
-    path: string;
   }
 
+  export interface KeySanitizeEvent extends BaseSanitizeEvent {
+    type: 'key';
+    /** The original key. */
+    originalValue: string;
+    /** The key it was renamed to. */
+    sanitizedValue: string;
+  }
+
+  export interface RemoveSanitizeEvent extends BaseSanitizeEvent {
+    type: 'remove';
+    /** The value that was dropped. */
+    originalValue: any;
+    sanitizedValue: undefined;
+    reason: RemoveReason;
+  }
+
+  export interface TruncateSanitizeEvent extends BaseSanitizeEvent {
+    type: 'truncate';
+    /** The string before truncation (after pattern replacement). */
+    originalValue: string;
+    sanitizedValue: string;
+  }
+
+  export interface MaxDepthSanitizeEvent extends BaseSanitizeEvent {
+    type: 'maxDepth';
+    /** The nested value that was not traversed. */
+    originalValue: any;
+    /** What replaced it: `undefined` (truncated), `null`, the strings-only copy, or the value itself. */
+    sanitizedValue: any;
+  }
+
+  export interface CoerceSanitizeEvent extends BaseSanitizeEvent {
+    type: 'coerce';
+    /** The object or array found at a `scalarFields` path. */
+    originalValue: object;
+    /** Its sanitized JSON serialization. */
+    sanitizedValue: string;
+  }
+
+  export interface CollisionSanitizeEvent extends BaseSanitizeEvent {
+    type: 'collision';
+    /** The key that lost the collision (`path` points at it). */
+    originalValue: string;
+    /** Key it was written under with `action: 'suffix'`, otherwise `undefined` (dropped). */
+    sanitizedValue: string | undefined;
+  }
+
+  export interface LimitSanitizeEvent extends BaseSanitizeEvent {
+    type: 'limit';
+    /** Which limit was exceeded. */
+    reason: LimitName;
+    /** The size found (key count, array length, key/string length, or node count). */
+    originalValue: number;
+    /** The configured limit. */
+    sanitizedValue: number;
+  }
+
+  export interface CircularSanitizeEvent extends BaseSanitizeEvent {
+    type: 'circular';
+    /** The object or array referenced again from inside itself. */
+    originalValue: object;
+    /** The configured `circular.marker`. */
+    sanitizedValue: unknown;
+  }
+
+  export interface UnicodeSanitizeEvent extends BaseSanitizeEvent {
+    type: 'unicode';
+    /** The key or value, left unchanged. */
+    originalValue: string;
+    sanitizedValue: string;
+  }
+
+  export interface EjsonSanitizeEvent extends BaseSanitizeEvent {
+    type: 'ejson';
+    /** The wrapper, e.g. `{ $date: '2024-01-02T03:04:05Z' }`. */
+    originalValue: object;
+    /** The value it was converted to. */
+    sanitizedValue: unknown;
+  }
+
+  /**
+   * Event emitted by the `onSanitize` callback for every modification.
+   * Discriminated by `type`.
+   */
+  export type SanitizeEvent =
+    | ValueSanitizeEvent
+    | KeySanitizeEvent
+    | RemoveSanitizeEvent
+    | TruncateSanitizeEvent
+    | MaxDepthSanitizeEvent
+    | CoerceSanitizeEvent
+    | CollisionSanitizeEvent
+    | LimitSanitizeEvent
+    | CircularSanitizeEvent
+    | EjsonSanitizeEvent
+    | UnicodeSanitizeEvent;
+
   /**
    * User-facing options passed to `resolveOptions()`,
    * Express middleware, or Fastify plugin.
@@ -66,6 +572,16 @@ declare namespace noSQLSanitizeCore {
     contentTypes?: string[] | null;
     /** Sanitization mode. @default 'auto' */
     mode?: 'auto' | 'manual';
+    /**
+     * What to do with forbidden input.
+     * - `'sanitize'` — rewrite it in place.
+     * - `'reject'` — leave the request untouched and throw a `NoSQLSanitizeError`
+     *   (type `'rejected'`) listing every offending path.
+     * - `'report'` — dry run: emit every would-be change through `onSanitize`
+     *   and debug logging, but leave the request untouched.
+     * @default 'sanitize'
+     */
+    action?: 'sanitize' | 'reject' | 'report';
     /**
      * Routes to skip. Supports exact strings (O(1) Set lookup)
      * and RegExp patterns.
@@ -75,7 +591,8 @@ declare namespace noSQLSanitizeCore {
     /** Custom sanitizer function. Overrides default sanitization. @default null */
     customSanitizer?: ((data: any, options: ResolvedOptions) => any) | null;
     /**
-     * Callback fired when a value is sanitized. Only fires when the value changes.
+     * Callback fired for every modification: changed values, renamed keys,
+     * removed keys/elements, truncation and `maxDepth` cut-offs.
      * @default null
      */
     onSanitize?: ((event: SanitizeEvent) => void) | null;
@@ -84,22 +601,122 @@ declare namespace noSQLSanitizeCore {
     /** Remove falsy values after sanitization. @default false */
     removeEmpty?: boolean;
     /**
-     * Maximum recursion depth for nested objects.
+     * Maximum nesting depth for nested objects.
      * Strings are always sanitized regardless of depth.
      * `null` = unlimited.
      * @default null
      */
     maxDepth?: number | null;
-    /** Regex patterns to match and replace. @default [/\$/g, /control chars/g] */
-    patterns?: RegExp[];
-    /** Only allow these keys (empty = allow all). @default [] */
-    allowedKeys?: string[];
-    /** Remove these keys (empty = deny none). @default [] */
-    deniedKeys?: string[];
+    /**
+     * What happens to objects/arrays nested deeper than `maxDepth`.
+     * - `'truncate'` — drop the subtree.
+     * - `'null'` — replace it with `null`.
+     * - `'reject'` — fail the request with a `NoSQLSanitizeError` (type `'rejected'`).
+     * - `'stringsOnly'` — keep structure, sanitize string values and keys only; key policies
+     *   (`deniedKeys`, `deniedPaths`, `prototypePollution`, ...) and `scalarFields` still apply.
+     * - `'passThrough'` — keep it unsanitized (the behavior before this option existed).
+     * @default 'truncate'
+     */
+    maxDepthAction?: 'truncate' | 'null' | 'reject' | 'stringsOnly' | 'passThrough';
+    /** Regex patterns or named rules to match and replace. @default [/\$/g, /control chars/g] */
+    patterns?: Array<RegExp | PatternRule>;
+    /** Patterns for object keys; `null` uses `patterns`. @default null */
+    keyPatterns?: Array<RegExp | PatternRule> | null;
+    /**
+     * Patterns for string values; `null` uses `patterns`. Set e.g. `[/\$/g]` to keep
+     * newlines and tabs in values while keys still lose control characters. @default null
+     */
+    valuePatterns?: Array<RegExp | PatternRule> | null;
+    /**
+     * Which string values are sanitized. Keys always are.
+     * - `'all'` — every value.
+     * - `'operators'` — only values that look like operator payloads (`OPERATOR_VALUE_PATTERNS`):
+     *   a leading `$name`, a `"$name":` key inside JSON, or `$where`-style JavaScript.
+     * @default 'all'
+     */
+    valueMode?: 'all' | 'operators';
+    /**
+     * String values left unsanitized: built-in format names, RegExps or predicates.
+     * Keys are always sanitized, and denied keys stay denied. @default ['email']
+     */
+    preserve?: Array<PreserveFormat | RegExp | ((value: string) => boolean)>;
+    /**
+     * Only allow these keys (empty = allow all). Entries are exact names,
+     * globs (`*` any run, `?` one character) or RegExps.
+     * @default []
+     */
+    allowedKeys?: Array<string | RegExp>;
+    /** Remove these keys (empty = deny none). Same entry syntax as `allowedKeys`. @default [] */
+    deniedKeys?: Array<string | RegExp>;
+    /**
+     * How `allowedKeys` / `deniedKeys` compare keys.
+     * - `'exact'` — as written.
+     * - `'caseInsensitive'` — ignoring case (RegExps get the `i` flag).
+     * - `'normalized'` — NFKC-normalized and ignoring case, so `＄ｗｈｅｒｅ` matches `$where`.
+     * @default 'exact'
+     */
+    keyMatching?: 'exact' | 'caseInsensitive' | 'normalized';
+    /**
+     * `$`-operators that keep their key un-renamed (their values are still sanitized).
+     * A string allows the operator anywhere; `{ operator, paths }` only below
+     * the given path prefixes (e.g. `'body.search'`).
+     * @default []
+     */
+    allowedOperators?: Array<string | AllowedOperator>;
+    /**
+     * Path-scoped overrides, keyed by path pattern (`formatPath()` syntax, rooted at the
+     * request field). `*` matches any key and `[*]` any array index. A rule applies to
+     * the value at its path and everything below it; the most specific pattern wins.
+     * @example { 'body.search.filter': { allowedOperators: ['$in'] }, 'body.items[*].note': { replaceWith: '_' } }
+     * @default {}
+     */
+    rules?: Record<string, RuleOptions>;
+    /**
+     * Keys removed at these exact paths, e.g. `['body.role', 'body.account.isAdmin']`
+     * (`body.settings.role` is unaffected). Same syntax as `rules`.
+     * @default []
+     */
+    deniedPaths?: string[];
+    /**
+     * Field whitelist: when non-empty, keys are kept only on these paths, the objects
+     * leading to them, and below them. Request fields no pattern starts with are not restricted.
+     * @default []
+     */
+    allowedPaths?: string[];
+    /** Per-route `allowedPaths` / `deniedPaths`; the first matching entry applies. @default [] */
+    routeFields?: RouteFields[];
     /** String transform options. */
     stringOptions?: StringOptions;
     /** Array transform options. */
     arrayOptions?: ArrayOptions;
+    /** Status code and reply body used when `action: 'reject'`. */
+    rejectOptions?: RejectOptions;
+    /** Handling of `__proto__`, `constructor` and `prototype` keys. */
+    prototypePollution?: PrototypePollutionOptions;
+    /** Handling of keys containing `.`. */
+    dotNotation?: DotNotationOptions;
+    /** Paths that must hold scalars, and what to do with objects/arrays found there. */
+    scalarFields?: ScalarFieldsOptions;
+    /** NFKC normalization, dollar lookalikes and invisible characters. */
+    unicode?: UnicodeOptions;
+    /** Decoding of percent-encoded and escaped operators before pattern matching. */
+    decoding?: DecodingOptions;
+    /** String values at these paths holding JSON documents are parsed and sanitized. */
+    jsonStrings?: JsonStringsOptions;
+    /** Handling of sanitized keys that collide with existing ones. */
+    keyCollision?: KeyCollisionOptions;
+    /** Payload size limits, enforced during traversal. */
+    limits?: LimitsOptions;
+    /** Handling of circular references. */
+    circular?: CircularOptions;
+    /**
+     * Handlers for values other than plain objects and arrays, tried in order before the
+     * built-in ones (see `BUILTIN_TYPE_HANDLERS`). Values no handler matches are left as-is.
+     * @default []
+     */
+    typeHandlers?: TypeHandler[];
+    /** Recognition of MongoDB Extended JSON wrappers. */
+    ejson?: EjsonOptions;
     /** Debug logging configuration. */
     debug?: DebugOptions;
   }
@@ -122,20 +739,64 @@ declare namespace noSQLSanitizeCore {
     sanitizeObjects: string[];
     contentTypes: Set<string> | null;
     mode: 'auto' | 'manual';
+    action: 'sanitize' | 'reject' | 'report';
     skipRoutes: ResolvedSkipRoutes;
     customSanitizer: ((data: any, options: ResolvedOptions) => any) | null;
     onSanitize: ((event: SanitizeEvent) => void) | null;
     recursive: boolean;
     removeEmpty: boolean;
     maxDepth: number | null;
+    maxDepthAction: 'truncate' | 'null' | 'reject' | 'stringsOnly' | 'passThrough';
     patterns: RegExp[];
-    allowedKeys: Set<string>;
-    deniedKeys: Set<string>;
+    allowedKeys: ResolvedKeyList;
+    deniedKeys: ResolvedKeyList;
+    keyMatching: 'exact' | 'caseInsensitive' | 'normalized';
+    /** Operator → allowed path prefixes (`null` = anywhere). */
+    allowedOperators: Map<string, string[] | null>;
+    rules: Record<string, RuleOptions>;
+    /** Compiled rules, least wildcards first. */
+    _rules: ResolvedRule[];
+    deniedPaths: string[];
+    allowedPaths: string[];
+    routeFields: RouteFields[];
+    /** Compiled `deniedPaths`. */
+    _deniedPaths: Array<Array<string | number | symbol>>;
+    /** Compiled `allowedPaths`. */
+    _allowedPaths: Array<Array<string | number | symbol>>;
+    /** Compiled `routeFields`, in declaration order. */
+    _routes: ResolvedRoute[];
+    typeHandlers: TypeHandler[];
+    /** `typeHandlers` (each with a `name`) followed by `BUILTIN_TYPE_HANDLERS`. */
+    _typeHandlers: Array<TypeHandler & { name: string }>;
     stringOptions: Required<StringOptions>;
     arrayOptions: Required<ArrayOptions>;
+    rejectOptions: Required<RejectOptions>;
+    prototypePollution: Required<Omit<PrototypePollutionOptions, 'keys'>> & { keys: Set<string> };
+    dotNotation: Required<Omit<DotNotationOptions, 'allow'>> & { allow: Set<string> };
+    /** `_segments` holds each entry of `paths` compiled by `compilePathPattern()`. */
+    scalarFields: Required<ScalarFieldsOptions> & { _segments: Array<Array<string | number | symbol>> };
+    unicode: Required<UnicodeOptions>;
+    decoding: Required<DecodingOptions>;
+    /** `_segments` holds each entry of `paths` compiled by `compilePathPattern()`. */
+    jsonStrings: Required<JsonStringsOptions> & { _segments: Array<Array<string | number | symbol>> };
+    keyCollision: Required<KeyCollisionOptions>;
+    /** `_enabled` is true when any limit or `onStats` is set. */
+    limits: Required<LimitsOptions> & { _enabled: boolean };
+    circular: Required<CircularOptions>;
+    /** `_converters` merges `converters` over `EJSON_CONVERTERS`. */
+    ejson: Required<EjsonOptions> & {
+      _types: Set<EjsonType>;
+      _converters: Partial<Record<EjsonType, (value: any) => unknown>>;
+    };
     debug: Required<DebugOptions>;
-    /** Pre-compiled combined regex from all patterns. */
-    _combinedPattern: RegExp;
+    /** Pre-compiled `keyPatterns` (or `patterns`). */
+    _keyRules: CompiledPatternRules;
+    /** Pre-compiled `valuePatterns` (or `patterns`). */
+    _valueRules: CompiledPatternRules;
+    /** Pre-compiled combined regex from `OPERATOR_VALUE_PATTERNS`. */
+    _operatorPattern: RegExp;
+    /** `preserve` compiled into predicates. */
+    _preserve: Array<(value: string) => boolean>;
   }
 
   /**
@@ -147,8 +808,49 @@ declare namespace noSQLSanitizeCore {
   /**
    * Sanitize a request object's body, query, and/or params in-place.
    * Respects content-type guards and Express 5 non-writable properties.
+   * With `action: 'reject'`, throws a `NoSQLSanitizeError` of type `'rejected'`
+   * instead, leaving the request untouched.
+   * With `action: 'report'`, leaves the request untouched and returns the
+   * events for every would-be change.
+   */
+  export function handleRequest(request: any, options: ResolvedOptions): SanitizeEvent[] | void;
+
+  /** Copy of `options` carrying fresh state (cycle tracking, `limits` stats) for one traversal. */
+  export function withTraversalState(options: ResolvedOptions): ResolvedOptions;
+
+  /**
+   * Options for the request's route: those of the first matching `routeFields`
+   * entry, or `options` unchanged.
+   */
+  export function optionsForRoute(request: any, options: ResolvedOptions): ResolvedOptions;
+
+  /** Events kept by `withEventCollector()`, and how many were recorded in all. */
+  export interface EventCollection {
+    events: SanitizeEvent[];
+    total: number;
+  }
+
+  /** An empty `EventCollection`. */
+  export function createEventCollection(): EventCollection;
+
+  /**
+   * Copy of `options` whose `onSanitize` also records the events passing `accept` into
+   * `collection`, keeping at most `rejectOptions.maxEvents` of them.
+   */
+  export function withEventCollector(
+    options: ResolvedOptions,
+    collection: EventCollection,
+    accept?: ((event: SanitizeEvent) => boolean) | null,
+  ): ResolvedOptions;
+
+  /** Whether an event makes `action: 'reject'` fail the request. */
+  export function isViolation(event: SanitizeEvent, options: ResolvedOptions): boolean;
+
+  /**
+   * Build the rejection error for the collected events,
+   * or `null` if none of them is a violation.
    */
-  export function handleRequest(request: any, options: ResolvedOptions): void;
+  export function createRejectError(collection: EventCollection, options: ResolvedOptions): NoSQLSanitizeError | null;
 
   /**
    * Check if a request path matches any skip route.
@@ -175,13 +877,26 @@ declare namespace noSQLSanitizeCore {
    * @param options  - Resolved options.
    * @param isValue  - `true` if this is a value (not an object key).
    * @param depth    - Current recursion depth.
+   * @param path     - Location of `value`, used for event paths.
    */
-  export function sanitizeValue(value: any, options: ResolvedOptions, isValue?: boolean, depth?: number): any;
+  export function sanitizeValue(
+    value: any,
+    options: ResolvedOptions,
+    isValue?: boolean,
+    depth?: number,
+    path?: SanitizePath | null,
+  ): any;
 
   /**
    * Sanitize a single string. Preserves email addresses.
+   * When `path` is given, `truncate`/`value` events are emitted for it.
    */
-  export function sanitizeString(str: any, options: ResolvedOptions, isValue?: boolean): any;
+  export function sanitizeString(
+    str: any,
+    options: ResolvedOptions,
+    isValue?: boolean,
+    path?: SanitizePath | null,
+  ): any;
 
   /**
    * Sanitize all keys and values of a plain object.
@@ -190,12 +905,23 @@ declare namespace noSQLSanitizeCore {
     obj: Record<string, any>,
     options: ResolvedOptions,
     depth?: number,
+    path?: SanitizePath | null,
   ): Record<string, any>;
 
+  /**
+   * Options in effect at `path`: the most specific matching rule's, or `options` itself.
+   */
+  export function optionsForPath(path: SanitizePath | null, options: ResolvedOptions): ResolvedOptions;
+
   /**
    * Sanitize all elements of an array.
    */
-  export function sanitizeArray(arr: any[], options: ResolvedOptions, depth?: number): any[];
+  export function sanitizeArray(
+    arr: any[],
+    options: ResolvedOptions,
+    depth?: number,
+    path?: SanitizePath | null,
+  ): any[];
 
   export function isString(value: any): value is string;
   export function isArray(value: any): value is any[];
@@ -208,6 +934,14 @@ declare namespace noSQLSanitizeCore {
   export function isObjectEmpty(obj: any): boolean;
   export function isEmail(value: any): boolean;
 
+  /** Built-in `preserve` formats. */
+  export const PRESERVE_FORMATS: Readonly<Record<PreserveFormat, (value: string) => boolean>>;
+
+  /** Compiles a `preserve` list into predicates. */
+  export function compilePreserveList(
+    entries: Array<PreserveFormat | RegExp | ((value: string) => boolean)>,
+  ): Array<(value: string) => boolean>;
+
   /**
    * Normalize a URL path: strip query string, trailing slashes.
    */
@@ -219,6 +953,78 @@ declare namespace noSQLSanitizeCore {
    */
   export function extractMimeType(contentType: any): string | null;
 
+  /** Create a path node for `key` under `parent`. `source` defaults to the parent's. */
+  export function createPath(parent: SanitizePath | null, key: string | number, source?: string | null): SanitizePath;
+
+  /** Segments of a path from root to leaf. */
+  export function pathSegments(path: SanitizePath | null): Array<string | number>;
+
+  /**
+   * Format a path as an accessor string.
+   * `"body.filters[2].name"`
+   */
+  export function formatPath(path: SanitizePath | null): string;
+
+  /**
+   * Format a path as a JSON Pointer (RFC 6901).
+   * `"/body/filters/2/name"`
+   */
+  export function formatPointer(path: SanitizePath | null): string;
+
+  /**
+   * Compile a path pattern (`"body.items[*].name"`) into segments, or `null` if malformed.
+   * `*` matches any key, `[*]` any array index.
+   */
+  export function compilePathPattern(pattern: string): Array<string | number | symbol> | null;
+
+  /** Whether a path matches compiled pattern segments exactly. */
+  export function matchPathPattern(path: SanitizePath | null, segments: Array<string | number | symbol>): boolean;
+
+  /** Whether a path matches the leading segments of a pattern (the pattern points at or below it). */
+  export function matchPathPrefix(path: SanitizePath | null, segments: Array<string | number | symbol>): boolean;
+
+  /** Compile a `routeFields` route: `"/users/:id"` → `/^\/users\/[^/]+$/`. RegExps are returned as-is. */
+  export function compileRoute(route: string | RegExp): RegExp | null;
+
+  /** Compile a glob (`*` any run, `?` one character) to an anchored RegExp. */
+  export function globToRegExp(glob: string, flags?: string): RegExp;
+
+  /** Fold a key for comparison under `keyMatching`. */
+  export function foldKey(key: string, keyMatching: 'exact' | 'caseInsensitive' | 'normalized'): string;
+
+  /** `path` with every dotted key split into one node per segment (numeric ones as indexes). */
+  export function expandDottedPath(path: SanitizePath | null): SanitizePath | null;
+
+  /** Compile an `allowedKeys` / `deniedKeys` list. */
+  export function compileKeyList(
+    entries: Array<string | RegExp>,
+    keyMatching: 'exact' | 'caseInsensitive' | 'normalized',
+  ): ResolvedKeyList;
+
+  /** Whether `entry` is a RegExp or a valid named pattern rule. */
+  export function isPatternEntry(entry: unknown): entry is RegExp | PatternRule;
+
+  /** Compile `patterns` for keys or values, one global regex per flag set. */
+  export function compilePatternRules(
+    patterns: Array<RegExp | PatternRule>,
+    appliesTo: 'key' | 'value',
+  ): CompiledPatternRules;
+
+  /** Whether a key matches a compiled key list. */
+  export function matchKeyList(key: string, list: ResolvedKeyList): boolean;
+
+  /** Undoes percent-encoding and `\uXXXX` escapes, up to `decoding.rounds` times. */
+  export function decodeString(str: string, decoding: Required<DecodingOptions>): string;
+
+  /** Parses a string that looks like a JSON object or array; undefined otherwise or when invalid. */
+  export function parseJsonString(str: string): unknown;
+
+  /** Strict content check for each supported Extended JSON wrapper. */
+  export const EJSON_VALIDATORS: Readonly<Record<EjsonType, (value: unknown) => boolean>>;
+
+  /** The wrapper key if `value` is exactly a valid Extended JSON wrapper of one of `types`, else null. */
+  export function ejsonType(value: object, types: Set<EjsonType>): EjsonType | null;
+
   /** Log a message at the given level. */
   export function log(debugOpts: DebugOptions, level: string, context: string, message: string, data?: any): void;
 
@@ -230,8 +1036,24 @@ declare namespace noSQLSanitizeCore {
 
   /** Default sanitization patterns: `$` operator + control characters. */
   export const PATTERNS: ReadonlyArray<RegExp>;
+  /** Patterns added in `unicode` mode: dollar-sign lookalikes. */
+  export const UNICODE_PATTERNS: ReadonlyArray<RegExp>;
+  /** Zero-width and bidirectional control characters handled by `unicode.invisible`. */
+  export const INVISIBLE_CHARS_RE: RegExp;
+  /** Values sanitized with `valueMode: 'operators'`. */
+  export const OPERATOR_VALUE_PATTERNS: ReadonlyArray<RegExp>;
   /** Default options before user overrides. */
   export const DEFAULT_OPTIONS: Readonly<SanitizeOptions>;
+  /** Option names a path-scoped rule may override. */
+  export const RULE_OPTIONS: ReadonlyArray<keyof RuleOptions>;
+  /** `_bsontype` values the built-in `bson` handler preserves (ObjectId, Decimal128, ...). */
+  export const BSON_VALUE_TYPES: ReadonlyArray<string>;
+  /** Built-in handlers: Map and Set are traversed; binary data and BSON values are preserved. */
+  export const BUILTIN_TYPE_HANDLERS: ReadonlyArray<Readonly<TypeHandler & { name: string }>>;
+  /** Built-in `ejson` conversions: `$date`, `$numberInt`, `$numberLong` and `$numberDouble`. */
+  export const EJSON_CONVERTERS: Readonly<Partial<Record<EjsonType, (value: any) => unknown>>>;
+  /** Log level used when a named pattern rule of each severity matches. */
+  export const SEVERITY_LOG_LEVELS: Readonly<Record<PatternSeverity, string>>;
   /** Numeric log level mapping. */
   export const LOG_LEVELS: Readonly<Record<string, number>>;
   /** ANSI color codes for log levels. */
@@ -240,6 +1062,14 @@ declare namespace noSQLSanitizeCore {
   export class NoSQLSanitizeError extends Error {
     name: 'NoSQLSanitizeError';
     type: string;
+    /** HTTP status code, set on `'rejected'` errors. */
+    statusCode?: number;
+    /** Offending paths, set on `'rejected'` errors. */
+    paths?: string[];
+    /** Events that caused the rejection (at most `rejectOptions.maxEvents`), set on `'rejected'` errors. */
+    events?: SanitizeEvent[];
+    /** How many more offending events were only counted, set on `'rejected'` errors. */
+    omitted?: number;
     constructor(message: string, type?: string);
     code(): string;
   }
@@ -8,11 +8,18 @@ const {
   cleanUrl,
   log,
   isString,
+  createPath,
+  createEventCollection,
+  withEventCollector,
+  isViolation,
+  createRejectError,
   NoSQLSanitizeError,
 } = require('@exortek/nosql-sanitize-core');
 
 /**
  * Express middleware factory.
+ * With `action: 'reject'`, forbidden input is passed to `next(err)` as a
+ * `NoSQLSanitizeError` (type `rejected`, `statusCode` 400 by default).
  * @param {Object} [options={}]
  * @returns {Function} Express middleware
  */
@@ -27,7 +34,11 @@ const expressMongoSanitize = (options = {}) => {
     }
 
     if (opts.mode === 'auto') {
-      handleRequest(req, opts);
+      try {
+        handleRequest(req, opts);
+      } catch (err) {
+        return next(err);
+      }
     }
 
     if (opts.mode === 'manual') {
@@ -52,7 +63,17 @@ const paramSanitizeHandler = (options = {}) => {
   return function (req, res, next, value, paramName) {
     const key = paramName || this?.name;
     if (key && req.params && isString(value)) {
-      req.params[key] = sanitizeString(value, opts, true);
+      const path = createPath(createPath(null, 'params', 'params'), key);
+      if (opts.action === 'sanitize') {
+        req.params[key] = sanitizeString(value, opts, true, path);
+      } else {
+        // reject/report: inspect only, the param is never rewritten
+        const collection = createEventCollection();
+        const accept = (event) => isViolation(event, opts);
+        sanitizeString(value, withEventCollector(opts, collection, accept), true, path);
+        const rejectError = opts.action === 'reject' && createRejectError(collection, opts);
+        if (rejectError) return next(rejectError);
+      }
     }
     next();
   };
@@ -377,7 +377,7 @@ for (const version of expressVersions) {
   test(`[${version.name}] should support maxDepth option`, async () => {
     const app = version.app();
     app.use(express.json());
-    app.use(expressMongoSanitize({ maxDepth: 1 }));
+    app.use(expressMongoSanitize({ maxDepth: 1, maxDepthAction: 'passThrough' }));
     app.post('/', (req, res) => res.json(req.body));
 
     const server = app.listen(0);
@@ -398,6 +398,168 @@ for (const version of expressVersions) {
     assert.deepStrictEqual(data.nested, { inner: '$danger' });
     server.close();
   });
+
+  test(`[${version.name}] should pass rejected requests to next(err) with action reject`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ action: 'reject' }));
+    app.post('/', (req, res) => res.json(req.body));
+    app.use((err, req, res, next) => res.status(err.statusCode).json({ type: err.type, paths: err.paths }));
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/?role=$admin`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: { $ne: '' } }),
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), {
+      type: 'rejected',
+      paths: ['body.password.$ne', 'query.role'],
+    });
+
+    const clean = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin' }),
+    });
+    assert.strictEqual(clean.status, 200);
+    assert.deepStrictEqual(await clean.json(), { username: 'admin' });
+    server.close();
+  });
+
+  test(`[${version.name}] should reject params via paramSanitizeHandler with action reject`, async () => {
+    const app = version.app();
+    app.param('username', paramSanitizeHandler({ action: 'reject', rejectOptions: { statusCode: 422 } }));
+    app.get('/user/:username', (req, res) => res.json({ username: req.params.username }));
+    app.use((err, req, res, next) => res.status(err.statusCode).json({ paths: err.paths }));
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/user/$admin`);
+    assert.strictEqual(response.status, 422);
+    assert.deepStrictEqual(await response.json(), { paths: ['params.username'] });
+    server.close();
+  });
+
+  test(`[${version.name}] should only report changes with action report`, async () => {
+    const events = [];
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ action: 'report', onSanitize: (e) => events.push(e.path) }));
+    app.param('id', paramSanitizeHandler({ action: 'report', onSanitize: (e) => events.push(e.path) }));
+    app.post('/item/:id', (req, res) => res.json({ body: req.body, query: req.query, id: req.params.id }));
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/item/$id?role=$admin`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: { $ne: '' } }),
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      body: { password: { $ne: '' } },
+      query: { role: '$admin' },
+      id: '$id',
+    });
+    assert.deepStrictEqual(events, ['body.password.$ne', 'query.role', 'params.id']);
+    server.close();
+  });
+
+  test(`[${version.name}] should drop prototype keys from body and query`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize());
+    app.post('/', (req, res) =>
+      res.json({ body: req.body, query: req.query, polluted: {}.isAdmin === true || req.body.isAdmin === true }),
+    );
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}/?__proto__=x&constructor=y&name=ok`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"__proto__":{"isAdmin":true},"constructor":{"prototype":{"isAdmin":true}},"name":"ok"}',
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { body: { name: 'ok' }, query: { name: 'ok' }, polluted: false });
+    server.close();
+  });
+
+  test(`[${version.name}] should reject prototype keys with prototypePollution reject`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ prototypePollution: { action: 'reject' } }));
+    app.post('/', (req, res) => res.json(req.body));
+    app.use((err, req, res, next) => res.status(err.statusCode).json({ paths: err.paths }));
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"user":{"__proto__":{"isAdmin":true}}}',
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { paths: ['body.user.__proto__'] });
+    server.close();
+  });
+
+  test(`[${version.name}] should keep allowedOperators un-renamed`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(expressMongoSanitize({ allowedOperators: ['$in'] }));
+    app.post('/', (req, res) => res.json(req.body));
+
+    const server = app.listen(0);
+    const port = server.address().port;
+
+    const response = await fetch(`http://localhost:${port}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags: { $in: ['a', '$b'] }, password: { $ne: '' } }),
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { tags: { $in: ['a', 'b'] }, password: { ne: '' } });
+    server.close();
+  });
+
+  test(`[${version.name}] should strip server-owned fields per route with routeFields`, async () => {
+    const app = version.app();
+    app.use(express.json());
+    app.use(
+      expressMongoSanitize({
+        deniedPaths: ['body.account.isAdmin'],
+        routeFields: [{ route: '/users/:id', methods: ['PATCH'], allowedPaths: ['body.name', 'body.account'] }],
+      }),
+    );
+    app.patch('/users/:id', (req, res) => res.json(req.body));
+    app.post('/users', (req, res) => res.json(req.body));
+
+    const server = app.listen(0);
+    const port = server.address().port;
+    const body = JSON.stringify({ name: 'bob', role: 'admin', account: { isAdmin: true, plan: 'pro' } });
+    const headers = { 'Content-Type': 'application/json' };
+
+    const update = await fetch(`http://localhost:${port}/users/42`, { method: 'PATCH', headers, body });
+    assert.deepStrictEqual(await update.json(), { name: 'bob', account: { plan: 'pro' } });
+
+    const create = await fetch(`http://localhost:${port}/users`, { method: 'POST', headers, body });
+    assert.deepStrictEqual(await create.json(), { name: 'bob', role: 'admin', account: { plan: 'pro' } });
+    server.close();
+  });
 }
 
 after(() => {
@@ -1,7 +1,31 @@
 'use strict';
 
+const { STATUS_CODES } = require('node:http');
 const fp = require('fastify-plugin');
-const { resolveOptions, handleRequest, shouldSkipRoute, log } = require('@exortek/nosql-sanitize-core');
+const {
+  resolveOptions,
+  handleRequest,
+  shouldSkipRoute,
+  log,
+  isFunction,
+  NoSQLSanitizeError,
+} = require('@exortek/nosql-sanitize-core');
+
+/**
+ * Builds the reply body for a rejected request from `rejectOptions.body`
+ * (a function, a static object, or `null` for Fastify's usual error shape).
+ */
+const buildRejectBody = (error, request, rejectOptions) => {
+  const { body } = rejectOptions;
+  if (isFunction(body)) return body(error, request);
+  if (body) return body;
+  return {
+    statusCode: error.statusCode,
+    error: STATUS_CODES[error.statusCode],
+    message: error.message,
+    paths: error.paths,
+  };
+};
 
 const fastifyMongoSanitize = (fastify, options, done) => {
   const opts = resolveOptions({
@@ -26,7 +50,15 @@ const fastifyMongoSanitize = (fastify, options, done) => {
       if (shouldSkipRoute(request.url, opts.skipRoutes, opts.debug)) {
         return done();
       }
-      handleRequest(request, opts);
+      try {
+        handleRequest(request, opts);
+      } catch (error) {
+        if (error instanceof NoSQLSanitizeError && error.type === 'rejected') {
+          reply.code(error.statusCode).send(buildRejectBody(error, request, opts.rejectOptions));
+          return;
+        }
+        return done(error);
+      }
       done();
     });
   }
@@ -408,7 +408,7 @@ for (const { name, factory } of fastifyVersions) {
 
   test(`should support maxDepth ${name}`, async () => {
     const fastify = factory();
-    fastify.register(mongoSanitizePlugin, { maxDepth: 1 });
+    fastify.register(mongoSanitizePlugin, { maxDepth: 1, maxDepthAction: 'passThrough' });
 
     fastify.post('/test', async (request) => request.body);
 
@@ -426,4 +426,137 @@ for (const { name, factory } of fastifyVersions) {
     assert.deepStrictEqual(data.nested, { inner: '$danger' });
     await fastify.close();
   });
+
+  test(`should reply 400 with action reject ${name}`, async () => {
+    const fastify = factory();
+    fastify.register(mongoSanitizePlugin, { action: 'reject' });
+
+    let handled = false;
+    fastify.post('/test', async (request) => {
+      handled = true;
+      return request.body;
+    });
+
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/test?role=$admin',
+      payload: { username: 'admin', password: { $ne: '' } },
+    });
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(handled, false);
+    const data = response.json();
+    assert.strictEqual(data.statusCode, 400);
+    assert.strictEqual(data.error, 'Bad Request');
+    assert.deepStrictEqual(data.paths, ['body.password.$ne', 'query.role']);
+
+    const clean = await fastify.inject({ method: 'POST', url: '/test', payload: { username: 'admin' } });
+    assert.strictEqual(clean.statusCode, 200);
+    assert.deepStrictEqual(clean.json(), { username: 'admin' });
+    await fastify.close();
+  });
+
+  test(`should use custom rejectOptions status and body ${name}`, async () => {
+    const fastify = factory();
+    fastify.register(mongoSanitizePlugin, {
+      action: 'reject',
+      rejectOptions: { statusCode: 422, body: (error) => ({ code: 'INJECTION', fields: error.paths }) },
+    });
+
+    fastify.get('/user/:id', async (request) => request.params);
+
+    const response = await fastify.inject({ method: 'GET', url: '/user/$admin' });
+
+    assert.strictEqual(response.statusCode, 422);
+    assert.deepStrictEqual(response.json(), { code: 'INJECTION', fields: ['params.id'] });
+    await fastify.close();
+  });
+
+  test(`should only report changes with action report ${name}`, async () => {
+    const events = [];
+    const fastify = factory();
+    fastify.register(mongoSanitizePlugin, { action: 'report', onSanitize: (e) => events.push(e.path) });
+
+    fastify.post('/item/:id', async (request) => ({
+      body: request.body,
+      params: request.params,
+      query: request.query,
+    }));
+
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/item/$id?role=$admin',
+      payload: { password: { $ne: '' } },
+    });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.json(), {
+      body: { password: { $ne: '' } },
+      params: { id: '$id' },
+      query: { role: '$admin' },
+    });
+    assert.deepStrictEqual(events, ['body.password.$ne', 'params.id', 'query.role']);
+    await fastify.close();
+  });
+
+  test(`should drop prototype keys from body and query ${name}`, async () => {
+    // Let the JSON parser through so the plugin itself is exercised
+    const fastify = factory({ onProtoPoisoning: 'ignore', onConstructorPoisoning: 'ignore' });
+    fastify.register(mongoSanitizePlugin);
+
+    fastify.post('/test', async (request) => ({
+      body: request.body,
+      query: request.query,
+      polluted: {}.isAdmin === true || request.body.isAdmin === true,
+    }));
+
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/test?__proto__=x&constructor=y&name=ok',
+      headers: { 'content-type': 'application/json' },
+      payload: '{"__proto__":{"isAdmin":true},"constructor":{"prototype":{"isAdmin":true}},"name":"ok"}',
+    });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.json(), { body: { name: 'ok' }, query: { name: 'ok' }, polluted: false });
+    await fastify.close();
+  });
+
+  test(`should reply 400 for prototype keys with prototypePollution reject ${name}`, async () => {
+    const fastify = factory({ onProtoPoisoning: 'ignore' });
+    fastify.register(mongoSanitizePlugin, { prototypePollution: { action: 'reject' } });
+
+    fastify.post('/test', async (request) => request.body);
+
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/test',
+      headers: { 'content-type': 'application/json' },
+      payload: '{"user":{"__proto__":{"isAdmin":true}}}',
+    });
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.deepStrictEqual(response.json().paths, ['body.user.__proto__']);
+    await fastify.close();
+  });
+
+  test(`should strip server-owned fields per route with routeFields ${name}`, async () => {
+    const fastify = factory();
+    fastify.register(mongoSanitizePlugin, {
+      deniedPaths: ['body.account.isAdmin'],
+      routeFields: [{ route: '/users/:id', methods: ['PATCH'], allowedPaths: ['body.name', 'body.account'] }],
+    });
+
+    fastify.patch('/users/:id', async (request) => request.body);
+    fastify.post('/users', async (request) => request.body);
+
+    const payload = { name: 'bob', role: 'admin', account: { isAdmin: true, plan: 'pro' } };
+
+    const update = await fastify.inject({ method: 'PATCH', url: '/users/42', payload });
+    assert.deepStrictEqual(update.json(), { name: 'bob', account: { plan: 'pro' } });
+
+    const create = await fastify.inject({ method: 'POST', url: '/users', payload });
+    assert.deepStrictEqual(create.json(), { name: 'bob', role: 'admin', account: { plan: 'pro' } });
+    await fastify.close();
+  });
 }